@@ -20,4 +20,9 @@ export const LOGS_CONFIG = {
     LOG_MODE: process.env.LOG_MODE || "console",
     CHALK_LEVEL: envStringToBooleanNumber(process.env.CONSOLE_COLORS),
     CONSOLE_GROUPING: process.env.CONSOLE_GROUPING || "false",
+    ARRAY_LOG_MODES: {
+        DEFAULTS: "defaults",
+        DIFF: "diff",
+    },
+    ARRAY_LOG_MODE: process.env.ARRAY_LOG_MODE || "defaults",
 };
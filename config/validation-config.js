@@ -0,0 +1,17 @@
+/**
+ * @file Configuration module for validation settings.
+ * Loads environment variables and defines validation configuration options.
+ * @module validation-config
+ */
+
+"use strict";
+
+import dotenv from "dotenv";
+import {envStringToBooleanNumber} from "../src/utils/strings.js";
+
+dotenv.config({path: './config/validation-config.env'});
+
+export const VALIDATION_CONFIG = {
+    CHECK_SORTED_INPUT: envStringToBooleanNumber(process.env.CHECK_SORTED_INPUT),
+    VALIDATION_LOCALE: process.env.VALIDATION_LOCALE || "en",
+};
@@ -8,8 +8,12 @@
 import {performActionsWithMessage, performActionToArrayOrValue} from './common/performable.js';
 import {logWithTimestamp} from '../logging/logs.js';
 import {colors} from "../logging/colors.js";
-import {Validation} from "./common/validation.js"
+import {isTypedArray, Validation} from "./common/validation.js"
+import {getMessage} from "./common/messages.js";
 import {generateUniqueRandomWordsAndNumbers} from "./utils/random-words.js";
+import {LOGS_CONFIG} from "../config/logs-config.js";
+import {VALIDATION_CONFIG} from "../config/validation-config.js";
+import {parseBooleanString} from "./utils/strings.js";
 
 /**
  * Predefined set of unique random words used as default array values.
@@ -19,57 +23,98 @@ export const DEFAULT_VALUES = generateUniqueRandomWordsAndNumbers(5);
 
 /* --------------------- Array Manipulation Functions --------------------- */
 
+/**
+ * Position in an array: 'start', 'end', 'middle', an index (negative indexes count from the end),
+ * `{before: value}` or `{after: value}` relative to the first occurrence of a value.
+ * @typedef {string|number|{before: *}|{after: *}} ArrayPosition
+ */
+
+/**
+ * Fixed-length array of numbers or BigInts over a binary buffer.
+ * @typedef {Int8Array|Uint8Array|Uint8ClampedArray|Int16Array|Uint16Array|Int32Array|Uint32Array|
+ * Float32Array|Float64Array|BigInt64Array|BigUint64Array} TypedArray
+ */
+
+/**
+ * Options deciding when two elements are treated as equal.
+ * @typedef {Object} EqualityOptions
+ * @property {string|Function} [equality] - 'strict' (`===`), 'sameValueZero' (like `strict`, but `NaN` equals
+ * `NaN`), 'deep' (structural equality of arrays, plain objects, Dates, Maps and Sets) or a custom
+ * equality `(a, b) => boolean`.
+ * @property {string|Function} [by] - Property path or function extracting the value elements are compared by.
+ */
+
 /**
  * Adds unique values to an array without duplicates.
+ * The added values are inserted together at the position, in the order they were provided.
  * @param {Array} array - The array to modify.
  * @param {*|Array} values - Values to add.
- * @param {string} [position='end'] - Position to add values ('start' or 'end').
+ * @param {ArrayPosition} [position='end'] - Position to add values at.
+ * @param {EqualityOptions} [options] - Equality used to detect duplicates, 'sameValueZero' by default.
+ * @returns {Array|TypedArray} The modified array; typed arrays cannot be resized, so a new typed array
+ * with the added values is returned for them and the provided one is left untouched.
  */
-export function addUniqueValues(array, values, position = 'end') {
-    Validation.startsFor(array)
-        .checkArray('Provided array is invalid.')
-        .validate();
+export function addUniqueValues(array, values, position = 'end', {equality = 'sameValueZero', by} = {}) {
+    ADD_UNIQUE_VALUES_ARGUMENTS.validateFirst({array, values});
 
-    Validation.startsFor(values)
-        .checkNullOrEmpty('Provided values is null or empty.')
-        .validate();
+    if (isTypedArray(array)) {
+        validateTypedArrayValues(array, values);
+        return applyToTypedArrayCopy(array, (copy) => addUniqueValues(copy, values, position, {equality, by}));
+    }
+
+    validatePosition(array, position, {insertion: true});
+
+    const equals = createEqualityMatcher(equality, by);
+    const valuesToAdd = [];
+    // A Set compares by SameValueZero itself, so the default equality looks values up instead of scanning.
+    const included = equality === 'sameValueZero' && by === undefined ? new Set(array) : null;
 
     let addValueIfNotIncluded = (value) => {
-        if (!array.includes(value)) {
-            if (position === 'end') {
-                array.push(value);
-            } else if (position === 'start') {
-                array.unshift(value);
+        if (included) {
+            if (!included.has(value)) {
+                included.add(value);
+                valuesToAdd.push(value);
             }
+            return;
+        }
+
+        const isEqual = (item) => equals(item, value);
+        if (!array.some(isEqual) && !valuesToAdd.some(isEqual)) {
+            valuesToAdd.push(value);
         }
     };
 
     performActionsWithMessage(`Add values action triggered with values to add: [${values}]`,
         () => {
+            const snapshot = takeSnapshotForDiff(array);
             performActionToArrayOrValue(values, addValueIfNotIncluded);
-            logArray(array, 'Print modified array:');
+            insertElements(array, resolveRange(array, position, 0).start, valuesToAdd);
+            logModifiedArray(array, snapshot, 'Print modified array:');
         });
+
+    return array;
 }
 
 /**
  * Replaces the contents of an array with flat values.
+ * Nested arrays of values are flattened up to the provided depth.
  * @param {Array} array - The target array.
- * @param {...*} values - New values or arrays of values.
+ * @param {*|Array} values - New values or (nested) arrays of values.
+ * @param {FlattenOptions} [options] - Flattening options.
+ * @throws {Error} If the array is not a regular array (typed arrays cannot be resized),
+ * or the values contain a circular reference within the flattened depth.
  */
-export function replaceWithFlatValues(array, values) {
-    Validation.startsFor(array)
-        .checkNullOrEmpty('Provided array is null or empty.')
-        .validate();
+export function replaceWithFlatValues(array, values, options = {}) {
+    REPLACE_WITH_FLAT_VALUES_ARGUMENTS.validateFirst({array, values});
 
-    Validation.startsFor(values)
-        .checkNullOrEmpty('Provided values is null or empty.')
-        .validate();
+    const flatValues = flatten(Array.isArray(values) ? values : [values], options);
 
-    performActionsWithMessage(`Replacing array contents with values: [${values}]`,
+    performActionsWithMessage(`Replacing array contents with values: [${flatValues}]`,
         () => {
+            const snapshot = takeSnapshotForDiff(array);
             array.length = 0;
-            performActionToArrayOrValue(values, (value) => array.push(value));
-            logArray(array, 'Modified array:');
+            performActionToArrayOrValue(flatValues, (value) => array.push(value));
+            logModifiedArray(array, snapshot, 'Modified array:');
         });
 }
 
@@ -77,57 +122,108 @@ export function replaceWithFlatValues(array, values) {
  * Removes specified values from an array.
  * @param {Array} array - The array to modify.
  * @param {*|Array} values - Values to remove.
+ * @param {EqualityOptions & {all: boolean}} [options] - Equality used to find the values, 'strict' by default,
+ * and whether all occurrences of a value are removed instead of the first one.
+ * @returns {Array|TypedArray} The modified array; typed arrays cannot be resized, so a new typed array
+ * without the removed values is returned for them and the provided one is left untouched.
  */
-export function removeValues(array, values) {
-    Validation.startsFor(array)
-        .checkNullOrEmpty('Provided array is null or empty.')
-        .validate();
+export function removeValues(array, values, {equality = 'strict', by, all = false} = {}) {
+    REMOVE_VALUES_ARGUMENTS.validateFirst({array, values});
 
-    Validation.startsFor(values)
-        .checkNullOrEmpty('Provided values is null or empty.')
-        .validate();
+    if (isTypedArray(array)) {
+        return applyToTypedArrayCopy(array, (copy) => removeValues(copy, values, {equality, by, all}));
+    }
+
+    const equals = createEqualityMatcher(equality, by);
 
     let removeValueIfIncluded = (value) => {
-        let valueToRemove = array.indexOf(value);
+        const isEqual = (item) => equals(item, value);
+
+        if (all) {
+            let length = 0;
+            for (let i = 0; i < array.length; i++) {
+                if (!isEqual(array[i])) array[length++] = array[i];
+            }
+            array.length = length;
+            return;
+        }
+
+        let valueToRemove = array.findIndex(isEqual);
         if (valueToRemove > -1) array.splice(valueToRemove, 1);
     };
 
     performActionsWithMessage(`Remove values from array action triggered with values to remove: [${values}]`,
         () => {
+            const snapshot = takeSnapshotForDiff(array);
             performActionToArrayOrValue(values, removeValueIfIncluded);
-            logArray(array, 'Print modified array:');
+            logModifiedArray(array, snapshot, 'Print modified array:');
         });
+
+    return array;
 }
 
 /**
- * Removes a specified number of values from the start or end of an array.
+ * Removes a specified number of values at a position of an array.
+ * With `{before: value}` the values preceding the reference value are removed, with 'middle'
+ * the removed values are centered in the array.
  * @param {Array} array - The array to modify.
  * @param {number} count - Number of elements to remove.
- * @param {string} [position='start'] - Position to remove from ('start' or 'end').
+ * @param {ArrayPosition} [position='start'] - Position to remove from.
+ * @returns {Array|TypedArray} The modified array; typed arrays cannot be resized, so a new typed array
+ * without the removed values is returned for them and the provided one is left untouched.
  */
 export function removeByCount(array, count, position = 'start') {
-    const POSITION_HANDLERS = {
-        'start': (arr, cnt) => arr.splice(0, cnt),
-        'end': (arr, cnt) => arr.splice(-cnt, cnt),
-    };
-
-    Validation.startsFor(array)
-        .checkArray('Provided array is invalid.')
-        .checkNullOrEmpty('Array is empty.')
-        .validate();
+    REMOVE_BY_COUNT_ARGUMENTS.validateFirst({array, count, position});
+    validatePosition(array, position);
 
-    Validation.startsFor(count)
-        .checkNullOrEmpty('Count is required.')
-        .checkNumber('Provided count invalid.')
-        .checkPositiveNumber('Provided count must be positive.')
-        .check(POSITION_HANDLERS[position], `Invalid position specified. Use 'start' or 'end'.`)
-        .validate();
+    if (isTypedArray(array)) return applyToTypedArrayCopy(array, (copy) => removeByCount(copy, count, position));
 
-    performActionsWithMessage(`Remove values from array action triggered to remove ${count} values from the ${position}`,
+    performActionsWithMessage(`Remove values from array action triggered to remove ${count} values from the ${
+            describePosition(position)}`,
         () => {
-            POSITION_HANDLERS[position](array, count);
-            logArray(array, 'Print modified array:');
+            const snapshot = takeSnapshotForDiff(array);
+            const {start, end} = resolveRange(array, position, count);
+            array.splice(start, end - start);
+            logModifiedArray(array, snapshot, 'Print modified array:');
         });
+
+    return array;
+}
+
+/**
+ * Applies a resizing operation to a regular array copy of a typed array.
+ * @param {TypedArray} array - The typed array.
+ * @param {function(Array): *} operation - The operation modifying the copy in place.
+ * @returns {TypedArray} A new typed array of the same type with the elements of the modified copy.
+ */
+function applyToTypedArrayCopy(array, operation) {
+    const copy = Array.from(array);
+    operation(copy);
+    return new array.constructor(copy);
+}
+
+/**
+ * Checks if a typed array holds BigInts.
+ * @param {TypedArray} array - The typed array to check.
+ * @returns {boolean} True for BigInt64Array and BigUint64Array; otherwise false.
+ */
+function isBigIntTypedArray(array) {
+    return array instanceof BigInt64Array || array instanceof BigUint64Array;
+}
+
+/**
+ * Validates that values fit the element type of a typed array: BigInts for BigInt arrays, numbers otherwise.
+ * @param {TypedArray} array - The typed array.
+ * @param {*|Array} values - The values to add to it.
+ * @throws {Error} If a value does not fit the element type.
+ */
+function validateTypedArrayValues(array, values) {
+    const type = isBigIntTypedArray(array) ? 'bigint' : 'number';
+
+    Validation.startsFor(values)
+        .check((Array.isArray(values) ? values : [values]).every(value => typeof value === type),
+            () => getMessage('typedArray.values', {arrayType: array.constructor.name, type}))
+        .validate();
 }
 
 /**
@@ -135,339 +231,2996 @@ export function removeByCount(array, count, position = 'start') {
  * @param {Array} array - The array to modify.
  */
 export function convertToStrings(array) {
-    performActionsWithMessage('Convert array values to string action triggered',
-        () => {
-            const newArray = array.map(value => String(value));
-            array.length = 0;
-            array.push(...newArray);
-            logArray(array, 'Print modified array:');
-        });
+    Validation.startsFor(array)
+        .checkArray('array.invalid')
+        .validate();
+
+    convertElements(array, 'string', TYPE_CONVERTERS.string, 'throw');
 }
 
 /**
- * Retrieves a specified number of elements from the start or end of an array.
- * @param {Array} array - The array to retrieve from.
- * @param {number} count - Number of elements to retrieve.
- * @param {string} [position='start'] - Position to retrieve from ('start' or 'end').
- * @returns {Array|null} Retrieved elements or null if count exceeds array length.
+ * Converts all array elements to number type.
+ * Strict parsing converts numbers and numeric strings only. Lenient parsing also accepts strings
+ * starting with a number in the same notation (`'12px'`, `'0x10 units'`), booleans and Dates.
+ * @param {Array} array - The array to modify.
+ * @param {Object} [options] - Conversion options.
+ * @param {string} [options.parsing='strict'] - 'strict' or 'lenient' parsing.
+ * @param {string} [options.nan='throw'] - What to do with elements that convert to NaN: 'drop' them,
+ * 'keep' them as NaN or 'throw' an error.
+ * @throws {Error} If an element converts to NaN and the NaN policy is 'throw'; the array is left untouched.
  */
-export function getElements(array, count, position = 'start') {
-    const POSITION_HANDLERS = {
-        'start': (arr, cnt) => arr.slice(0, cnt),
-        'end': (arr, cnt) => arr.slice(-cnt),
-    };
+export function convertToNumbers(array, {parsing = 'strict', nan = 'throw'} = {}) {
+    Validation.startsFor(array)
+        .checkArray('array.invalid')
+        .validate();
 
-    Validation.startsFor(count)
-        .checkNullOrEmpty('Count is required.')
-        .checkNumber('Count is invalid.')
-        .checkPositiveNumber('Count must be positive.')
-        .check(Array.isArray(array), 'Array is invalid.')
-        .check(array.length > 0, 'Array is empty.')
-        .check(POSITION_HANDLERS[position], `Invalid position specified. Use 'start' or 'end'.`)
+    Validation.startsFor(parsing)
+        .check(Object.hasOwn(NUMBER_PARSERS, parsing), 'conversion.parsing')
         .validate();
 
-    return POSITION_HANDLERS[position](array, count);
+    convertElements(array, 'number', NUMBER_PARSERS[parsing], nan);
 }
 
-/* --------------------- Sorting Functions --------------------- */
-
 /**
- * Sorts a mixed array of numbers and strings using the Bubble Sort algorithm.
- * @param {Array} array - The array to sort.
- * @param {string} [order='asc'] - Sorting order ('asc' or 'desc').
+ * Converts all array elements to boolean type.
+ * Booleans are kept, strings are converted by their truthy or falsy representation
+ * ('true', '1', 'yes', 'on' or 'false', '0', 'no', 'off', like the environment configuration)
+ * and the numbers 1 and 0 to true and false. Other elements cannot be converted.
+ * @param {Array} array - The array to modify.
+ * @param {Object} [options] - Conversion options.
+ * @param {string} [options.invalid='throw'] - What to do with elements that cannot be converted: 'drop' them,
+ * 'keep' them unchanged or 'throw' an error.
+ * @throws {Error} If an element cannot be converted and the invalid policy is 'throw'; the array is left untouched.
  */
-export function bubbleSort(array, order = 'asc') {
+export function convertToBooleans(array, {invalid = 'throw'} = {}) {
     Validation.startsFor(array)
-        .checkArray('Provided array is invalid.')
-        .checkNullOrEmpty('Provided array is null or empty.')
+        .checkArray('array.invalid')
         .validate();
 
-    Validation.startsFor(order)
-        .check(['asc', 'desc'].includes(order), "Order must be 'asc' or 'desc'.")
+    convertElements(array, 'boolean', TYPE_CONVERTERS.boolean, invalid);
+}
+
+/**
+ * Converts all array elements to Dates.
+ * Numbers and numeric strings are treated as timestamps in milliseconds, other strings are parsed
+ * by `Date.parse` and valid Dates are kept.
+ * @param {Array} array - The array to modify.
+ * @param {Object} [options] - Conversion options.
+ * @param {string} [options.invalid='throw'] - What to do with elements that convert to an invalid Date:
+ * 'drop' them, 'keep' them as invalid Dates or 'throw' an error.
+ * @throws {Error} If an element cannot be converted and the invalid policy is 'throw'; the array is left untouched.
+ */
+export function convertToDates(array, {invalid = 'throw'} = {}) {
+    Validation.startsFor(array)
+        .checkArray('array.invalid')
         .validate();
 
-    performActionsWithMessage(`Bubble sort action in ${order} mode is triggered`, () => {
-        for (let i = 0; i < array.length - 1; i++) {
-            for (let j = 0; j < array.length - i - 1; j++) {
-                const comparison = compareValues(array[j], array[j + 1]);
-                if ((order === 'asc' && comparison > 0) || (order === 'desc' && comparison < 0)) {
-                    [array[j], array[j + 1]] = [array[j + 1], array[j]];
-                }
-            }
-        }
-    });
+    convertElements(array, 'date', TYPE_CONVERTERS.date, invalid);
 }
 
 /**
- * Sorts a mixed array of numbers and strings using the Quick Sort algorithm.
- * @param {Array} array - The array to sort.
- * @param {string} [order='asc'] - Sorting order ('asc' or 'desc').
+ * Result of a conversion by {@link convertWith}.
+ * @typedef {Object} ConversionReport
+ * @property {Array} values - Converted elements; elements that failed to convert are kept unchanged.
+ * @property {Array<{index: number, field: (string|undefined), value: *, reason: string}>} failures - Elements
+ * that failed to convert, with the field of the failed record property when converting records.
+ */
+
+/**
+ * Converts array elements by a schema, returning the converted values and the elements that failed to convert
+ * instead of producing NaN or invalid Dates. The provided array is left untouched.
+ * A schema is a type name ('string', 'number', 'boolean' or 'date'), a converter `(value, index) => converted`,
+ * or an object mapping record properties to type names or converters. A converter fails when it throws
+ * or returns NaN or an invalid Date.
+ * @example
+ * convertWith(rows, {price: 'number', active: 'boolean', label: (value) => value.trim()});
+ * @param {Array} array - The array to convert.
+ * @param {string|Function|Object<string, string|Function>} schema - The conversion schema.
+ * @returns {ConversionReport} The converted values and the conversion failures.
  */
-export function quickSort(array, order = 'asc') {
+export function convertWith(array, schema) {
     Validation.startsFor(array)
-        .checkArray('Provided array is invalid.')
-        .checkNullOrEmpty('Provided array is null or empty.')
+        .checkArray('array.invalid')
         .validate();
 
-    Validation.startsFor(order)
-        .check(['asc', 'desc'].includes(order), "Order must be 'asc' or 'desc'.")
+    Validation.startsFor(schema)
+        .checkNullOrEmpty('conversion.schema.required')
+        .check(isConverter(schema)
+            || (schema !== null && typeof schema === 'object' && Object.values(schema).every(isConverter)),
+            () => getMessage('conversion.schema.invalid', {types: Object.keys(TYPE_CONVERTERS).join(', ')}))
+        .check(isConverter(schema) || array.every((item) => item !== null && typeof item === 'object'),
+            'conversion.records')
         .validate();
 
-    /**
-     * Recursively sorts the array using Quick Sort.
-     * @param {Array<number|string>} arr - The array to be sorted.
-     * @returns {Array<number|string>} The sorted array.
-     */
-    function sort(arr) {
-        if (arr.length <= 1) {
-            return arr;
-        }
-
-        const pivot = arr[Math.floor(arr.length / 2)];
-        const left = [];
-        const right = [];
-        const equal = [];
+    const failures = [];
+    let values;
 
-        for (const item of arr) {
-            const comparison = compareValues(item, pivot);
+    const convertValue = (converter, value, index, field) => {
+        const result = typeof converter === 'string'
+            ? applyConverter(TYPE_CONVERTERS[converter], value, index, converter)
+            : applyConverter(converter, value, index);
+        if (!result.failed) return result.value;
 
-            if ((order === 'asc' && comparison < 0) || (order === 'desc' && comparison > 0)) {
-                left.push(item);
-            } else if ((order === 'asc' && comparison > 0) || (order === 'desc' && comparison < 0)) {
-                right.push(item);
-            } else {
-                equal.push(item);
-            }
-        }
+        failures.push({index, field, value, reason: getMessage(result.reason.key, result.reason.params)});
+        return value;
+    };
 
-        return [...sort(left), ...equal, ...sort(right)];
-    }
+    performActionsWithMessage('Convert array values by schema action triggered', () => {
+        values = array.map((item, index) => isConverter(schema)
+            ? convertValue(schema, item, index)
+            : Object.entries(schema).reduce((record, [field, converter]) =>
+                ({...record, [field]: convertValue(converter, item?.[field], index, field)}), {...item}));
 
-    performActionsWithMessage(`Quick sort action in ${order} mode is triggered`, () => {
-        const sortedArray = sort(array);
-        array.length = 0;
-        array.push(...sortedArray);
+        logArray(values, 'Converted array:');
+        failures.forEach(({index, field, reason}) => logWithTimestamp(
+            colors.Red(`Conversion failed at index ${index}${field ? ` (field: ${field})` : ''}: ${reason}`),
+            'custom'));
     });
+
+    return {values, failures};
 }
 
 /**
- * Compares two values for sorting.
- * @param {*} a - First value.
- * @param {*} b - Second value.
- * @returns {number} Comparison result.
+ * Leading number of a string, in the numeric grammar of `Number`: hexadecimal, binary and octal literals,
+ * or signed decimals and Infinity.
+ * @type {RegExp}
  */
-function compareValues(a, b) {
-    const numA = Number(a);
-    const numB = Number(b);
+const LEADING_NUMBER_PATTERN = new RegExp('^\\s*(?:0[xX][\\da-fA-F]+|0[bB][01]+|0[oO][0-7]+'
+    + '|[+-]?(?:Infinity|(?:\\d+\\.?\\d*|\\.\\d+)(?:[eE][+-]?\\d+)?))');
 
-    if (!isNaN(numA) && !isNaN(numB)) {
-        return numA - numB;
-    }
+/**
+ * Number parsers of the strict and lenient number conversion.
+ * @type {Readonly<Object<string, function(*): number>>}
+ */
+const NUMBER_PARSERS = Object.freeze({
+    'strict': (value) => {
+        if (typeof value === 'number') return value;
+        return typeof value === 'string' && isNumericString(value) ? Number(value) : NaN;
+    },
+    'lenient': (value) => {
+        if (typeof value === 'string') {
+            const match = LEADING_NUMBER_PATTERN.exec(value);
+            return match ? Number(match[0]) : NaN;
+        }
+        if (typeof value === 'boolean') return Number(value);
+        if (value instanceof Date) return value.getTime();
+        return typeof value === 'number' ? value : NaN;
+    },
+});
 
-    if (typeof a === "string" && typeof b === "string") {
-        return a.localeCompare(b);
-    }
+/**
+ * Converters of the supported element types. Every converter returns the converted value, or undefined,
+ * NaN or an invalid Date when the value cannot be converted.
+ * @type {Readonly<Object<string, function(*): *>>}
+ */
+const TYPE_CONVERTERS = Object.freeze({
+    'string': (value) => String(value),
+    'number': NUMBER_PARSERS.strict,
+    'boolean': (value) => {
+        if (typeof value === 'boolean') return value;
+        if (value === 1 || value === 0) return value === 1;
+        return parseBooleanString(value);
+    },
+    'date': (value) => {
+        if (value instanceof Date) return new Date(value.getTime());
+        if (typeof value === 'number' || (typeof value === 'string' && isNumericString(value))) {
+            return new Date(Number(value));
+        }
+        return typeof value === 'string' ? new Date(value) : new Date(NaN);
+    },
+});
 
-    return numA.toString().localeCompare(b.toString());
-}
+/**
+ * Policies for elements that cannot be converted.
+ * @type {ReadonlyArray<string>}
+ */
+const INVALID_CONVERSION_POLICIES = Object.freeze(['drop', 'keep', 'throw']);
 
-/* --------------------- Filtering Functions --------------------- */
+/**
+ * Checks if a value is a type name of {@link TYPE_CONVERTERS} or a converter function.
+ * @param {*} value - The value to check.
+ * @returns {boolean} True if the value is a converter; otherwise false.
+ */
+function isConverter(value) {
+    return typeof value === 'function' || (typeof value === 'string' && Object.hasOwn(TYPE_CONVERTERS, value));
+}
 
 /**
- * Retrieves an element from an array by its value.
- * @param {Array} array - The array to search.
- * @param {*} element - The element to find.
- * @returns {*|undefined} The found element, or undefined if not found.
+ * Applies a converter to a value.
+ * @param {Function} convert - The converter `(value, index) => converted`.
+ * @param {*} value - The value to convert.
+ * @param {number} index - Index of the value in its array.
+ * @param {string} [type] - Name of the target type, when converting by a type converter; undefined results
+ * of type converters are failures.
+ * @returns {{value: *, failed: boolean, reason: ({key: string, params: Object}|undefined)}} The converted value,
+ * or the message key and parameters of the failure reason.
  */
-export function getElementByValue(array, element) {
-    Validation.startsFor(element)
-        .checkNullOrEmpty('Element is required.')
-        .validate();
+function applyConverter(convert, value, index, type) {
+    let converted;
 
-    Validation.startsFor(array)
-        .checkNullOrEmpty('Array is empty.')
-        .validate();
+    try {
+        converted = convert(value, index);
+    } catch (error) {
+        return {value, failed: true, reason: {key: 'conversion.error', params: {reason: error.message}}};
+    }
+
+    const failed = (converted === undefined && type !== undefined)
+        || Number.isNaN(converted)
+        || (converted instanceof Date && isNaN(converted.getTime()));
 
-    const index = array.indexOf(element);
-    return index !== -1 ? array[index] : undefined;
+    if (!failed) return {value: converted, failed};
+
+    return {
+        value: converted,
+        failed,
+        reason: type === undefined
+            ? {key: 'conversion.failed.target', params: {element: String(value)}}
+            : {key: 'conversion.failed', params: {element: String(value), type}},
+    };
 }
 
 /**
- * Filters string elements longer than a specified length.
- * @param {Array} array - The array to filter.
- * @param {number} length - The minimum length of strings to keep.
- * @returns {Array<string>} Filtered array of strings.
+ * Converts array elements in place, applying the invalid policy to elements that cannot be converted.
+ * Every element is converted before the array is modified, so a thrown error leaves it untouched.
+ * @param {Array} array - The array to modify.
+ * @param {string} type - Name of the target type.
+ * @param {function(*): *} convert - The type converter.
+ * @param {string} invalid - The policy for elements that cannot be converted: 'drop', 'keep' or 'throw'.
+ * Booleans have no invalid value, so elements kept by the 'keep' policy stay unchanged.
+ * @throws {Error} If the policy is invalid, or an element cannot be converted and the policy is 'throw'.
  */
-export function filterStringsLongerThan(array, length) {
-    Validation.startsFor(length)
-        .checkNullOrEmpty('Length is required.')
-        .checkNumber('Provided length is invalid.')
-        .checkPositiveNumber('Provided length must be positive.')
+function convertElements(array, type, convert, invalid) {
+    Validation.startsFor(invalid)
+        .check(INVALID_CONVERSION_POLICIES.includes(invalid),
+            () => getMessage('conversion.policy', {policies: INVALID_CONVERSION_POLICIES.join(', ')}))
         .validate();
 
-    return filterByCondition(array, (item) => typeof item === 'string' && item.length > length);
+    performActionsWithMessage(`Convert array values to ${type} action triggered`,
+        () => {
+            const snapshot = takeSnapshotForDiff(array);
+            const newArray = [];
+
+            array.forEach((value, index) => {
+                const result = applyConverter(convert, value, index, type);
+
+                Validation.startsFor(value)
+                    .check(!result.failed || invalid !== 'throw', () => getMessage('conversion.failed.index', {
+                        reason: getMessage(result.reason.key, result.reason.params), index,
+                    }))
+                    .validate();
+
+                if (!result.failed) newArray.push(result.value);
+                else if (invalid === 'keep') newArray.push(result.value === undefined ? value : result.value);
+            });
+
+            newArray.forEach((value, index) => array[index] = value);
+            array.length = newArray.length;
+            logModifiedArray(array, snapshot, 'Print modified array:');
+        });
 }
 
 /**
- * Filters string elements shorter than a specified length.
- * @param {Array} array - The array to filter.
- * @param {number} length - The maximum length of strings to keep.
- * @returns {Array<string>} Filtered array of strings.
+ * Retrieves a specified number of elements at a position of an array.
+ * @param {Array|TypedArray} array - The array to retrieve from.
+ * @param {number} count - Number of elements to retrieve.
+ * @param {ArrayPosition} [position='start'] - Position to retrieve from.
+ * @returns {Array|TypedArray} Retrieved elements, fewer than count if the array ends before;
+ * a typed array of the same type for typed arrays.
  */
-export function filterStringsShorterThan(array, length) {
-    Validation.startsFor(length)
-        .checkNullOrEmpty('Length is required.')
-        .checkNumber('Provided length is invalid.')
-        .checkPositiveNumber('Provided length must be positive.')
-        .validate();
+export function getElements(array, count, position = 'start') {
+    GET_ELEMENTS_ARGUMENTS.validateFirst({count, array, position});
 
-    return filterByCondition(array, (item) => typeof item === 'string' && item.length < length);
+    validatePosition(array, position);
+
+    const {start, end} = resolveRange(array, position, count);
+    return array.slice(start, end);
 }
 
 /**
- * Filters numbers from the array.
- * @param {Array} array - The array to filter.
- * @returns {Array<number>} An array of numbers.
+ * Message key of the error for unsupported positions, see {@link getMessage}.
+ * @type {string}
  */
-export function filterNumbers(array) {
-    return filterByCondition(array, (item) => typeof item === 'number');
-}
+const INVALID_POSITION_MESSAGE = 'position.invalid';
 
 /**
- * Filters numbers greater than a specified value.
- * @param {Array} array - The array to filter.
- * @param {number} threshold - The minimum value to keep.
- * @returns {Array<number>} Filtered numbers.
+ * Handlers resolving the start index of a range of elements for named positions.
+ * @type {Readonly<Object<string, function(number, number): number>>}
  */
-export function filterNumbersGreaterThan(array, threshold) {
-    Validation.startsFor(threshold)
-        .checkNullOrEmpty('Number is required.')
-        .checkNumber('Provided number is invalid.')
-        .validate();
+const NAMED_POSITIONS = Object.freeze({
+    'start': () => 0,
+    'end': (length, count) => length - count,
+    'middle': (length, count) => Math.floor((length - count) / 2),
+});
 
-    return filterByCondition(array, (item) => typeof item === 'number' && item > threshold);
-}
+/**
+ * Argument schema of {@link addUniqueValues}.
+ * @type {ValidationSchema}
+ */
+const ADD_UNIQUE_VALUES_ARGUMENTS = Validation.schema({
+    array: v => v.required('array.invalid')
+        .arrayOrTypedArray('array.invalid'),
+    values: v => v.required('values.nullOrEmpty')
+        .notEmpty('values.nullOrEmpty'),
+});
 
 /**
- * Filters numbers smaller than a specified value.
- * @param {Array} array - The array to filter.
- * @param {number} threshold - The maximum value to keep.
- * @returns {Array<number>} Filtered numbers.
+ * Argument schema of {@link replaceWithFlatValues}.
+ * @type {ValidationSchema}
  */
-export function filterNumbersSmallerThan(array, threshold) {
-    Validation.startsFor(threshold)
-        .checkNullOrEmpty('Number is required.')
-        .checkNumber('Provided number is invalid.')
-        .validate();
+const REPLACE_WITH_FLAT_VALUES_ARGUMENTS = Validation.schema({
+    array: v => v.required('array.nullOrEmpty')
+        .notEmpty('array.nullOrEmpty')
+        .array('array.invalid'),
+    values: v => v.required('values.nullOrEmpty')
+        .notEmpty('values.nullOrEmpty'),
+});
 
-    return filterByCondition(array, (item) => typeof item === 'number' && item < threshold);
-}
+/**
+ * Argument schema of {@link removeValues}.
+ * @type {ValidationSchema}
+ */
+const REMOVE_VALUES_ARGUMENTS = Validation.schema({
+    array: v => v.required('array.nullOrEmpty')
+        .notEmpty('array.nullOrEmpty'),
+    values: v => v.required('values.nullOrEmpty')
+        .notEmpty('values.nullOrEmpty'),
+});
 
 /**
- * Filters positive numbers from the array.
- * @param {Array} array - The array to filter.
- * @returns {Array<number>} An array of positive numbers.
+ * Argument schema of {@link getElements}.
+ * @type {ValidationSchema}
  */
-export function filterPositiveNumbers(array) {
-    return filterByCondition(array, (item) => typeof item === 'number' && item > 0);
-}
+const GET_ELEMENTS_ARGUMENTS = Validation.schema({
+    count: v => v.required('count.required')
+        .notEmpty('count.required')
+        .finite('count.notFinite')
+        .positive('count.notPositive'),
+    array: v => v.required('array.notArray')
+        .arrayOrTypedArray('array.notArray')
+        .notEmpty('array.empty'),
+    position: v => v.check(isPosition, INVALID_POSITION_MESSAGE),
+});
 
 /**
- * Filters negative numbers from the array.
- * @param {Array} array - The array to filter.
- * @returns {Array<number>} An array of negative numbers.
+ * Argument schema of {@link removeByCount}.
+ * @type {ValidationSchema}
  */
-export function filterNegativeNumbers(array) {
-    return filterByCondition(array, (item) => typeof item === 'number' && item < 0);
-}
+const REMOVE_BY_COUNT_ARGUMENTS = Validation.schema({
+    array: v => v.required('array.invalid')
+        .arrayOrTypedArray('array.invalid')
+        .notEmpty('array.empty'),
+    count: v => v.required('count.required')
+        .notEmpty('count.required')
+        .finite('count.invalid')
+        .positive('count.positive'),
+    position: v => v.check(isPosition, INVALID_POSITION_MESSAGE),
+});
 
 /**
- * Filters elements in the array based on a condition.
- * @param {Array} array - The array to filter.
- * @param {Function} condition - A function to determine if an element should be included.
- * @returns {Array} Filtered array.
+ * Checks if a value has the form of an {@link ArrayPosition}.
+ * @param {*} position - The value to check.
+ * @returns {boolean} True if the value is a position; otherwise false.
  */
-export function filterByCondition(array, condition) {
-    Validation.startsFor(condition)
-        .checkNullOrEmpty('Condition is required.')
-        .checkFunction('Provided argument is not a function.')
-        .validate();
+function isPosition(position) {
+    if (typeof position === 'string') return Object.hasOwn(NAMED_POSITIONS, position);
+    if (typeof position === 'number') return true;
 
-    Validation.startsFor(array)
-        .checkNullOrEmpty('Array is empty.')
+    return position !== null && typeof position === 'object'
+        && Object.keys(position).length === 1 && ('before' in position || 'after' in position);
+}
+
+/**
+ * Validates a position against an array: indexes must be integers within the array bounds,
+ * reference values must be present in the array.
+ * @param {Array|TypedArray} array - The array the position refers to.
+ * @param {ArrayPosition} position - The position to validate.
+ * @param {Object} [options] - Validation options.
+ * @param {boolean} [options.insertion=false] - Whether the position is an insertion index, which may
+ * also be the array length to insert after the last element.
+ * @throws {Error} If the position is invalid for the array.
+ */
+function validatePosition(array, position, {insertion = false} = {}) {
+    Validation.startsFor(position)
+        .check(isPosition(position), INVALID_POSITION_MESSAGE)
         .validate();
 
-    return array.filter(condition);
+    if (typeof position === 'number') {
+        Validation.startsFor(position)
+            .check(Number.isInteger(position) && position >= -array.length
+                && (insertion ? position <= array.length : position < array.length),
+                () => getMessage('position.outOfRange', {index: position}))
+            .validate();
+    } else if (typeof position === 'object') {
+        const reference = 'before' in position ? position.before : position.after;
+
+        Validation.startsFor(reference)
+            .check(indexOfReference(array, position) > -1,
+                () => getMessage('position.notFound', {reference: String(reference)}))
+            .validate();
+    }
 }
 
-/* --------------------- Aggregation Functions --------------------- */
-
 /**
- * Calculates the maximum, minimum, sum, and average of numeric values in an array.
- * @param {Array} array - The array to process.
- * @returns {Object} An object containing max, min, sum, and average.
+ * Resolves a validated position to a range of elements of an array.
+ * @param {Array} array - The array the position refers to.
+ * @param {ArrayPosition} position - The position of the range.
+ * @param {number} count - Number of elements in the range, 0 to resolve an insertion index.
+ * @returns {{start: number, end: number}} The range, clamped to the array bounds.
  */
-export function calculateStats(array) {
-    let numbers = filterNumbers(array);
+function resolveRange(array, position, count) {
+    let start;
+
+    if (typeof position === 'string') {
+        start = NAMED_POSITIONS[position](array.length, count);
+    } else if (typeof position === 'number') {
+        start = position < 0 ? array.length + position : position;
+    } else if ('before' in position) {
+        start = indexOfReference(array, position) - count;
+    } else {
+        start = indexOfReference(array, position) + 1;
+    }
 
-    const max = Math.max(...numbers);
-    const min = Math.min(...numbers);
-    const sum = numbers.reduce((acc, item) => acc + item, 0);
-    const average = sum / numbers.length;
+    const clamp = (index) => Math.min(Math.max(index, 0), array.length);
+    return {start: clamp(start), end: clamp(start + count)};
+}
 
-    return {max, min, sum, average};
+/**
+ * Finds the first occurrence of the reference value of a relative position.
+ * Validation and resolution share it, so a value that cannot be found (like NaN) is never resolved.
+ * @param {Array|TypedArray} array - The array the position refers to.
+ * @param {{before: *}|{after: *}} position - The relative position.
+ * @returns {number} Index of the reference value, or -1 if it is not found.
+ */
+function indexOfReference(array, position) {
+    return array.indexOf('before' in position ? position.before : position.after);
 }
 
-/* --------------------- Utility Functions --------------------- */
+/**
+ * Inserts values at an index of an array, shifting the following elements by index
+ * instead of spreading the values into `splice`, which overflows the call stack for large arrays.
+ * @param {Array} array - The array to modify.
+ * @param {number} start - Index to insert the values at.
+ * @param {Array} values - Values to insert.
+ */
+function insertElements(array, start, values) {
+    const count = values.length;
+    if (count === 0) return;
+
+    const length = array.length;
+    array.length = length + count;
+    for (let i = length - 1; i >= start; i--) array[i + count] = array[i];
+    for (let i = 0; i < count; i++) array[start + i] = values[i];
+}
 
 /**
- * Logs the contents of an array with type information.
- * @param {Array} array - The array to log.
- * @param {string} [msg='Array log:'] - Custom message for the log.
+ * Describes a position for log messages.
+ * @param {ArrayPosition} position - The position to describe.
+ * @returns {string} The description of the position.
  */
-export function logArray(array, msg) {
-    performActionsWithMessage(msg || 'Print array action triggered:',
-        () => logWithTimestamp(formatArrayWithChanges(array).join(', '), 'custom'));
+function describePosition(position) {
+    if (typeof position === 'number') return `index ${position}`;
+    if (typeof position === 'object') {
+        return 'before' in position ? `position before [${position.before}]` : `position after [${position.after}]`;
+    }
+
+    return position;
 }
 
 /**
- * Formats an array with colorized changes based on default values.
- * @param {Array} array - The array to format.
- * @returns {Array<string>} The formatted array as strings.
+ * Options of the flattening functions.
+ * @typedef {Object} FlattenOptions
+ * @property {number} [depth=Infinity] - How many levels of nested arrays are flattened.
+ * @property {Function} [mapper] - A function `(value, path) => mappedValue` applied to every flattened value,
+ * where `path` holds the indexes leading to the value in the nested array.
  */
-function formatArrayWithChanges(array) {
-    const formattedArray = [];
 
-    array.forEach((value) => {
-        const comparisonResult = compareWithDefaultValues(value);
+/**
+ * Flattens nested arrays into a new array.
+ * @param {Array} array - The nested array to flatten.
+ * @param {FlattenOptions} [options] - Flattening options.
+ * @returns {Array} The flattened values.
+ * @throws {Error} If the array contains a circular reference within the flattened depth.
+ */
+export function flatten(array, {depth = Infinity, mapper} = {}) {
+    Validation.startsFor(array)
+        .checkArray('array.invalid')
+        .validate();
 
-        if (comparisonResult.isDefaultValue && !comparisonResult.isTypeChanged) {
-            formattedArray.push(colors.Blue(`#${value} (type: ${typeof value})`));
-        } else if (comparisonResult.isTypeChanged) {
-            formattedArray.push(colors.Blue(`#${value} (${colors.Green(`type: ${typeof value}`)})`));
-        } else {
-            formattedArray.push(colors.Green(`#${value} (type: ${typeof value})`));
+    Validation.startsFor(depth)
+        .check(depth === Infinity || (Number.isInteger(depth) && depth >= 0),
+            'flatten.depth')
+        .validate();
+
+    Validation.startsFor(mapper)
+        .check(mapper === undefined || typeof mapper === 'function', 'flatten.mapper')
+        .validate();
+
+    const flatValues = [];
+    const ancestors = new Set([array]);
+
+    const flattenInto = (values, remainingDepth, path) => values.forEach((value, index) => {
+        if (!Array.isArray(value) || remainingDepth === 0) {
+            flatValues.push(mapper ? mapper(value, [...path, index]) : value);
+            return;
         }
+
+        Validation.startsFor(value)
+            .check(!ancestors.has(value), 'flatten.circular')
+            .validate();
+
+        ancestors.add(value);
+        flattenInto(value, remainingDepth - 1, [...path, index]);
+        ancestors.delete(value);
     });
 
-    return formattedArray;
+    flattenInto(array, depth, []);
+    return flatValues;
 }
 
 /**
- * Compares a value with default values to determine changes.
- * @param {*} value - The value to compare.
- * @returns {Object} Comparison result with isDefaultValue and isTypeChanged.
+ * Rebuilds a nested array from flat values, following the nesting of a shape array.
+ * Every non-array element of the shape is replaced by the next flat value, so
+ * `unflatten(flatten(nested), nested)` returns a copy of `nested`.
+ * @param {Array} array - The flat values.
+ * @param {Array} shape - A nested array whose structure is reproduced.
+ * @returns {Array} The nested array.
+ * @throws {Error} If the number of values does not match the number of shape elements.
  */
-function compareWithDefaultValues(value) {
-    const comparisonResult = {
-        isDefaultValue: true,
-        isTypeChanged: false
-    };
+export function unflatten(array, shape) {
+    Validation.startsFor(array)
+        .checkArray('array.invalid')
+        .validate();
+
+    Validation.startsFor(shape)
+        .checkArray('shape.invalid')
+        .validate();
+
+    const slots = flatten(shape);
+
+    Validation.startsFor(array)
+        .check(array.length === slots.length,
+            () => getMessage('shape.size', {count: array.length, size: slots.length}))
+        .validate();
+
+    let next = 0;
+    const rebuild = (nested) => nested.map(item => Array.isArray(item) ? rebuild(item) : array[next++]);
+
+    return rebuild(shape);
+}
+
+/* --------------------- Sorting Functions --------------------- */
+
+/**
+ * Options accepted by the sorting functions in place of the plain order argument.
+ * @typedef {Object} SortOptions
+ * @property {string} [order='asc'] - Sorting order ('asc' or 'desc').
+ * @property {Function} [comparator] - Custom comparator `(a, b) => number` used instead of the default comparison.
+ * @property {string|Function} [key] - Property path (e.g. 'user.name') or function extracting the value to compare.
+ * @property {Array<SortKey>} [keys] - Multi-key sort specs, applied in sequence until one of them differs.
+ * @property {string} [nulls='last'] - Placement of null and undefined values ('first' or 'last'),
+ * independent of the order.
+ * @property {string|Array<string>} [locale] - Locale(s) used to collate strings, defaults to the runtime locale.
+ * @property {boolean} [numeric=false] - Whether strings are collated numerically ('item2' before 'item10').
+ * @property {boolean} [caseSensitive=true] - Whether strings differing only by case are ordered or treated as equal.
+ * @property {boolean|{trace: boolean}} [instrument=false] - Counts the comparisons, swaps, moves and recursion
+ * depth of the sort and returns them as {@link SortMetrics}; with `trace`, every intermediate array state
+ * is recorded too, see {@link replaySortTrace}.
+ */
+
+/**
+ * Counters of an instrumented sort.
+ * @typedef {Object} SortMetrics
+ * @property {number} comparisons - Number of element comparisons.
+ * @property {number} swaps - Number of element swaps.
+ * @property {number} moves - Number of single element writes (shifts of insertion sort, merges of merge sort).
+ * @property {number} recursionDepth - Deepest partitioning level of quick sort, or the number of merge passes
+ * of merge sort; 0 for the non-recursive algorithms.
+ * @property {Array<SortTraceStep>} [trace] - Intermediate array states, when tracing is enabled.
+ */
+
+/**
+ * Intermediate array state of a traced sort.
+ * @typedef {Object} SortTraceStep
+ * @property {string} action - The step that produced the state: 'swap', 'move' or 'merge'.
+ * @property {Array<number>} indices - Indices of the elements changed by the step.
+ * @property {Array} array - Copy of the array after the step.
+ */
+
+/**
+ * Single entry of a multi-key sort spec.
+ * @typedef {Object} SortKey
+ * @property {string|Function} key - Property path or function extracting the value to compare.
+ * @property {string} [order] - Sorting order for this key, defaults to the order of the sort call.
+ * @property {Function} [comparator] - Custom comparator for the extracted values.
+ */
+
+/**
+ * Sorts a mixed array of numbers and strings using the Bubble Sort algorithm.
+ * @param {Array|TypedArray} array - The array to sort.
+ * @param {string|SortOptions} [options='asc'] - Sorting order ('asc' or 'desc') or sorting options.
+ * @returns {SortMetrics|undefined} The sort metrics, when the sort is instrumented.
+ */
+export function bubbleSort(array, options = 'asc') {
+    Validation.startsFor(array)
+        .checkArrayOrTypedArray('array.invalid')
+        .checkNullOrEmpty('array.nullOrEmpty')
+        .validate();
+
+    const {order, compare, instrumentation, native} = resolveInstrumentedSortOptions(array, options);
+    if (native) return sortTypedArrayNatively(array, order);
+
+    performActionsWithMessage(`Bubble sort action in ${order} mode is triggered`, () => {
+        for (let i = 0; i < array.length - 1; i++) {
+            for (let j = 0; j < array.length - i - 1; j++) {
+                if (compare(array[j], array[j + 1]) > 0) {
+                    [array[j], array[j + 1]] = [array[j + 1], array[j]];
+                    instrumentation?.swapped(j, j + 1);
+                }
+            }
+        }
+        instrumentation?.log();
+    });
+
+    return instrumentation?.metrics;
+}
+
+/**
+ * Sorts a mixed array of numbers and strings using the Quick Sort algorithm.
+ * The array is partitioned in place and iteratively, using a median-of-three pivot and a three-way
+ * partition, so large arrays and arrays with many duplicates are sorted without recursion.
+ * Ranges that keep partitioning unevenly are finished with heap sort.
+ * @param {Array|TypedArray} array - The array to sort.
+ * @param {string|SortOptions} [options='asc'] - Sorting order ('asc' or 'desc') or sorting options.
+ * @returns {SortMetrics|undefined} The sort metrics, when the sort is instrumented.
+ */
+export function quickSort(array, options = 'asc') {
+    Validation.startsFor(array)
+        .checkArrayOrTypedArray('array.invalid')
+        .checkNullOrEmpty('array.nullOrEmpty')
+        .validate();
+
+    const {order, compare, instrumentation, native} = resolveInstrumentedSortOptions(array, options);
+    if (native) return sortTypedArrayNatively(array, order);
+
+    const swap = (i, j) => {
+        if (i === j) return;
+
+        const temp = array[i];
+        array[i] = array[j];
+        array[j] = temp;
+        instrumentation?.swapped(i, j);
+    };
+
+    /**
+     * Orders the first, middle and last elements of the range and returns the index of their median.
+     * @param {number} low - Start index of the range.
+     * @param {number} high - End index of the range (inclusive).
+     * @returns {number} Index of the pivot element.
+     */
+    function medianOfThree(low, high) {
+        const middle = low + ((high - low) >> 1);
+
+        if (compare(array[middle], array[low]) < 0) swap(middle, low);
+        if (compare(array[high], array[low]) < 0) swap(high, low);
+        if (compare(array[high], array[middle]) < 0) swap(high, middle);
+
+        return middle;
+    }
+
+    /**
+     * Splits the range into elements lower than, equal to and greater than the pivot (Bentley-McIlroy
+     * three-way partitioning). Equal elements are gathered at both ends while scanning and moved to the
+     * middle afterwards, so already sorted ranges stay sorted and are split evenly.
+     * @param {number} low - Start index of the range.
+     * @param {number} high - End index of the range (inclusive).
+     * @returns {Array<number>} Start and end indexes of the elements equal to the pivot.
+     */
+    function partition(low, high) {
+        swap(low, medianOfThree(low, high));
+
+        const pivot = array[low];
+        let left = low;
+        let right = high + 1;
+        let equalLeft = low;
+        let equalRight = high + 1;
+
+        while (true) {
+            while (compare(array[++left], pivot) < 0) if (left === high) break;
+            while (compare(pivot, array[--right]) < 0) if (right === low) break;
+
+            if (left === right && compare(array[left], pivot) === 0) swap(++equalLeft, left);
+            if (left >= right) break;
+
+            swap(left, right);
+            if (compare(array[left], pivot) === 0) swap(++equalLeft, left);
+            if (compare(array[right], pivot) === 0) swap(--equalRight, right);
+        }
+
+        left = right + 1;
+        for (let k = low; k <= equalLeft; k++) swap(k, right--);
+        for (let k = high; k >= equalRight; k--) swap(k, left++);
+
+        return [right + 1, left - 1];
+    }
+
+    performActionsWithMessage(`Quick sort action in ${order} mode is triggered`, () => {
+        const maxDepth = 2 * Math.floor(Math.log2(array.length));
+        const ranges = [0, array.length - 1, 0];
+
+        // The larger side is deferred and the smaller one processed first, which keeps the pending ranges logarithmic.
+        // Ranges partitioned unevenly too many times fall back to heap sort to keep the worst case at O(n log n).
+        while (ranges.length > 0) {
+            let depth = ranges.pop();
+            let high = ranges.pop();
+            let low = ranges.pop();
+
+            while (low < high) {
+                instrumentation?.reached(depth + 1);
+
+                if (depth++ > maxDepth) {
+                    heapSortRange(array, low, high, compare, instrumentation);
+                    break;
+                }
+
+                const [equalStart, equalEnd] = partition(low, high);
+
+                if (equalStart - low < high - equalEnd) {
+                    ranges.push(equalEnd + 1, high, depth);
+                    high = equalStart - 1;
+                } else {
+                    ranges.push(low, equalStart - 1, depth);
+                    low = equalEnd + 1;
+                }
+            }
+        }
+        instrumentation?.log();
+    });
+
+    return instrumentation?.metrics;
+}
+
+/**
+ * Sorts an array using the stable Merge Sort algorithm.
+ * Elements that compare as equal keep their original relative order.
+ * @param {Array|TypedArray} array - The array to sort.
+ * @param {string|SortOptions} [options='asc'] - Sorting order ('asc' or 'desc') or sorting options.
+ * @returns {SortMetrics|undefined} The sort metrics, when the sort is instrumented.
+ */
+export function mergeSort(array, options = 'asc') {
+    Validation.startsFor(array)
+        .checkArrayOrTypedArray('array.invalid')
+        .checkNullOrEmpty('array.nullOrEmpty')
+        .validate();
+
+    const {order, compare, instrumentation, native} = resolveInstrumentedSortOptions(array, options);
+    if (native) return sortTypedArrayNatively(array, order);
+
+    performActionsWithMessage(`Merge sort action in ${order} mode is triggered`, () => {
+        let source = array;
+        let target = new Array(array.length);
+
+        for (let width = 1; width < array.length; width *= 2) {
+            for (let start = 0; start < array.length; start += 2 * width) {
+                const middle = Math.min(start + width, array.length);
+                const end = Math.min(start + 2 * width, array.length);
+                let left = start;
+                let right = middle;
+
+                for (let k = start; k < end; k++) {
+                    target[k] = left < middle && (right >= end || compare(source[left], source[right]) <= 0)
+                        ? source[left++]
+                        : source[right++];
+                }
+            }
+
+            [source, target] = [target, source];
+            instrumentation?.merged(source, target);
+        }
+
+        if (source !== array) {
+            for (let i = 0; i < array.length; i++) array[i] = source[i];
+            instrumentation?.copied(array.length);
+        }
+        instrumentation?.log();
+    });
+
+    return instrumentation?.metrics;
+}
+
+/**
+ * Sorts an array in place using the Heap Sort algorithm.
+ * @param {Array|TypedArray} array - The array to sort.
+ * @param {string|SortOptions} [options='asc'] - Sorting order ('asc' or 'desc') or sorting options.
+ * @returns {SortMetrics|undefined} The sort metrics, when the sort is instrumented.
+ */
+export function heapSort(array, options = 'asc') {
+    Validation.startsFor(array)
+        .checkArrayOrTypedArray('array.invalid')
+        .checkNullOrEmpty('array.nullOrEmpty')
+        .validate();
+
+    const {order, compare, instrumentation, native} = resolveInstrumentedSortOptions(array, options);
+    if (native) return sortTypedArrayNatively(array, order);
+
+    performActionsWithMessage(`Heap sort action in ${order} mode is triggered`, () => {
+        heapSortRange(array, 0, array.length - 1, compare, instrumentation);
+        instrumentation?.log();
+    });
+
+    return instrumentation?.metrics;
+}
+
+/**
+ * Sorts a range of an array in place using the Heap Sort algorithm.
+ * @param {Array} array - The array holding the range.
+ * @param {number} low - Start index of the range.
+ * @param {number} high - End index of the range (inclusive).
+ * @param {Function} compare - Comparator that already accounts for the sorting order.
+ * @param {SortInstrumentation|null} [instrumentation] - Instrumentation recording the swaps.
+ */
+function heapSortRange(array, low, high, compare, instrumentation = null) {
+    const swap = (i, j) => {
+        [array[low + i], array[low + j]] = [array[low + j], array[low + i]];
+        instrumentation?.swapped(low + i, low + j);
+    };
+
+    /**
+     * Moves the element at the given heap index down until the heap property is restored.
+     * @param {number} index - Heap index of the element to move.
+     * @param {number} size - Size of the heap part of the range.
+     */
+    function siftDown(index, size) {
+        while (true) {
+            const left = 2 * index + 1;
+            const right = left + 1;
+            let largest = index;
+
+            if (left < size && compare(array[low + left], array[low + largest]) > 0) largest = left;
+            if (right < size && compare(array[low + right], array[low + largest]) > 0) largest = right;
+            if (largest === index) return;
+
+            swap(index, largest);
+            index = largest;
+        }
+    }
+
+    const length = high - low + 1;
+
+    for (let i = Math.floor(length / 2) - 1; i >= 0; i--) {
+        siftDown(i, length);
+    }
+
+    for (let end = length - 1; end > 0; end--) {
+        swap(0, end);
+        siftDown(0, end);
+    }
+}
+
+/**
+ * Sorts an array in place using the stable Insertion Sort algorithm.
+ * Runs in near linear time on arrays that are already nearly sorted.
+ * @param {Array|TypedArray} array - The array to sort.
+ * @param {string|SortOptions} [options='asc'] - Sorting order ('asc' or 'desc') or sorting options.
+ * @returns {SortMetrics|undefined} The sort metrics, when the sort is instrumented.
+ */
+export function insertionSort(array, options = 'asc') {
+    Validation.startsFor(array)
+        .checkArrayOrTypedArray('array.invalid')
+        .checkNullOrEmpty('array.nullOrEmpty')
+        .validate();
+
+    const {order, compare, instrumentation, native} = resolveInstrumentedSortOptions(array, options);
+    if (native) return sortTypedArrayNatively(array, order);
+
+    performActionsWithMessage(`Insertion sort action in ${order} mode is triggered`, () => {
+        for (let i = 1; i < array.length; i++) {
+            const current = array[i];
+            let j = i - 1;
+
+            while (j >= 0 && compare(array[j], current) > 0) {
+                array[j + 1] = array[j];
+                instrumentation?.moved(j + 1);
+                j--;
+            }
+
+            if (j + 1 !== i) {
+                array[j + 1] = current;
+                instrumentation?.moved(j + 1);
+            }
+        }
+        instrumentation?.log();
+    });
+
+    return instrumentation?.metrics;
+}
+
+/**
+ * Sorting algorithms available through the {@link sort} dispatcher, keyed by name.
+ * @type {Readonly<Object<string, Function>>}
+ */
+export const SORT_ALGORITHMS = Object.freeze({
+    'bubble': bubbleSort,
+    'quick': quickSort,
+    'merge': mergeSort,
+    'heap': heapSort,
+    'insertion': insertionSort,
+});
+
+/**
+ * Sorts an array with the sorting algorithm selected by name.
+ * @param {Array|TypedArray} array - The array to sort.
+ * @param {string|SortOptions & {algorithm: string}} [options={}] - Sorting order or sorting options,
+ * where `algorithm` is one of the {@link SORT_ALGORITHMS} names (defaults to 'quick').
+ * @returns {SortMetrics|undefined} The sort metrics, when the sort is instrumented.
+ */
+export function sort(array, options = {}) {
+    const {algorithm = 'quick', ...sortOptions} = normalizeSortOptions(options);
+
+    Validation.startsFor(algorithm)
+        .check(Object.hasOwn(SORT_ALGORITHMS, algorithm),
+            () => getMessage('sort.algorithm', {algorithms: Object.keys(SORT_ALGORITHMS).join(', ')}))
+        .validate();
+
+    return SORT_ALGORITHMS[algorithm](array, sortOptions);
+}
+
+/**
+ * Sorts a typed array by its native numeric sort.
+ * @param {TypedArray} array - The typed array to sort.
+ * @param {string} order - Sorting order ('asc' or 'desc').
+ */
+function sortTypedArrayNatively(array, order) {
+    performActionsWithMessage(`Native typed array sort in ${order} mode is triggered`, () => {
+        array.sort();
+        if (order === 'desc') array.reverse();
+    });
+}
+
+/**
+ * Normalizes the order argument or options object of a sorting function to an options object.
+ * @param {string|Object} options - Sorting order or sorting options.
+ * @returns {Object} The sorting options.
+ */
+function normalizeSortOptions(options) {
+    return options !== null && typeof options === 'object' ? options : {order: options};
+}
+
+/**
+ * Normalizes the order argument or options object of a sorting function.
+ * The returned comparator already accounts for the sorting order and null placement, so a positive
+ * result always means that the first value must be placed after the second one.
+ * @param {string|SortOptions} options - Sorting order or sorting options.
+ * @returns {{order: string, compare: Function, instrument: (boolean|Object), native: boolean}} The resolved order,
+ * comparator and instrumentation options, and whether the default value comparison is used without
+ * instrumentation, so typed arrays can be sorted by their native numeric sort.
+ */
+function resolveSortOptions(options) {
+    const {order = 'asc', comparator, key, keys, nulls = 'last', instrument = false, ...collation} =
+        normalizeSortOptions(options);
+
+    Validation.startsFor(order)
+        .check(['asc', 'desc'].includes(order), 'sort.order')
+        .validate();
+
+    const unknownOptions = Object.keys(collation).filter(option => !COLLATION_OPTIONS.includes(option));
+
+    Validation.startsFor(unknownOptions)
+        .check(unknownOptions.length === 0,
+            () => getMessage('sort.unknownOptions', {options: unknownOptions.join(', ')}))
+        .validate();
+
+    Validation.startsFor(nulls)
+        .check(['first', 'last'].includes(nulls), 'sort.nulls')
+        .validate();
+
+    Validation.startsFor(keys)
+        .check(keys === undefined || (Array.isArray(keys) && keys.length > 0), 'sort.keys')
+        .validate();
+
+    const compareStrings = createStringComparator(collation);
+    const compareDefault = (a, b) => compareValues(a, b, compareStrings);
+
+    const specs = (keys || [{key, comparator}]).map((spec) => {
+        Validation.startsFor(spec.comparator)
+            .check(spec.comparator === undefined || typeof spec.comparator === 'function',
+                'sort.comparator')
+            .validate();
+
+        Validation.startsFor(spec.order)
+            .check(spec.order === undefined || ['asc', 'desc'].includes(spec.order), 'sort.order')
+            .validate();
+
+        return {
+            extract: createKeyExtractor(spec.key),
+            compareKey: spec.comparator || compareDefault,
+            direction: (spec.order || order) === 'desc' ? -1 : 1,
+        };
+    });
+
+    const compare = (a, b) => {
+        for (const {extract, compareKey, direction} of specs) {
+            const valueA = extract(a);
+            const valueB = extract(b);
+
+            const comparison = valueA == null || valueB == null
+                ? compareNullish(valueA, valueB, nulls)
+                : compareKey(valueA, valueB) * direction;
+
+            if (comparison) return comparison;
+        }
+        return 0;
+    };
+
+    Validation.startsFor(instrument)
+        .check(typeof instrument === 'boolean' || (instrument !== null && typeof instrument === 'object'),
+            'sort.instrument')
+        .validate();
+
+    return {
+        order,
+        compare,
+        instrument,
+        native: comparator === undefined && key === undefined && keys === undefined && !instrument,
+    };
+}
+
+/**
+ * Records the counters and trace of an instrumented sort.
+ * @typedef {Object} SortInstrumentation
+ * @property {SortMetrics} metrics - The counters, updated while sorting.
+ * @property {function(number, number): void} swapped - Records a swap of two elements.
+ * @property {function(number): void} moved - Records a write of a single element.
+ * @property {function(Array, Array): void} merged - Records a merge pass from the previous to the current state.
+ * @property {function(number): void} copied - Records writes of elements copying the already traced state back.
+ * @property {function(number): void} reached - Records a recursion depth.
+ * @property {function(): void} log - Logs the counters.
+ */
+
+/**
+ * Resolves the options of a sorting algorithm, wrapping the comparator to count comparisons
+ * when the sort is instrumented.
+ * Typed arrays compared by value (without a comparator, keys or instrumentation) are flagged as `native`,
+ * so every algorithm sorts them by their native numeric sort instead.
+ * @param {Array|TypedArray} array - The array to sort.
+ * @param {string|SortOptions} options - Sorting order or sorting options.
+ * @returns {{order: string, compare: Function, instrumentation: (SortInstrumentation|null), native: boolean}}
+ * The resolved order, comparator and instrumentation, null when the sort is not instrumented,
+ * and whether the array is sorted natively.
+ */
+function resolveInstrumentedSortOptions(array, options) {
+    const {order, compare, instrument, native} = resolveSortOptions(options);
+    if (!instrument) return {order, compare, instrumentation: null, native: native && isTypedArray(array)};
+
+    const instrumentation = createSortInstrumentation(array, instrument);
+    const metrics = instrumentation.metrics;
+
+    return {
+        order,
+        compare: (a, b) => {
+            metrics.comparisons++;
+            return compare(a, b);
+        },
+        instrumentation,
+        native: false,
+    };
+}
+
+/**
+ * Creates the instrumentation of a sort.
+ * @param {Array|TypedArray} array - The array being sorted.
+ * @param {true|{trace: boolean}} instrument - Instrumentation options.
+ * @returns {SortInstrumentation} The instrumentation.
+ */
+function createSortInstrumentation(array, instrument) {
+    const {trace = false} = instrument === true ? {} : instrument;
+    const metrics = {comparisons: 0, swaps: 0, moves: 0, recursionDepth: 0, ...(trace ? {trace: []} : {})};
+
+    const record = (action, indices, state = array) =>
+        trace && metrics.trace.push({action, indices, array: Array.from(state)});
+
+    return {
+        metrics,
+        swapped(i, j) {
+            metrics.swaps++;
+            record('swap', [i, j]);
+        },
+        moved(index) {
+            metrics.moves++;
+            record('move', [index]);
+        },
+        merged(current, previous) {
+            metrics.moves += current.length;
+            metrics.recursionDepth++;
+
+            const changed = [];
+            for (let i = 0; i < current.length; i++) if (current[i] !== previous[i]) changed.push(i);
+            record('merge', changed, current);
+        },
+        copied(count) {
+            metrics.moves += count;
+        },
+        reached(depth) {
+            if (depth > metrics.recursionDepth) metrics.recursionDepth = depth;
+        },
+        log() {
+            logWithTimestamp(colors.Yellow(`Comparisons: ${colors.YellowBold(metrics.comparisons)}, swaps: ${
+                colors.YellowBold(metrics.swaps)}, moves: ${colors.YellowBold(metrics.moves)}, recursion depth: ${
+                colors.YellowBold(metrics.recursionDepth)}`), 'custom');
+        },
+    };
+}
+
+/**
+ * Replays the trace of an instrumented sort, logging every recorded array state with the elements changed
+ * by its step highlighted.
+ * @example
+ * const {trace} = bubbleSort(array, {instrument: {trace: true}});
+ * replaySortTrace(trace);
+ * @param {Array<SortTraceStep>} trace - The trace of the sort.
+ * @param {string} [msg='Sort step'] - Custom message prefixing the log of every step.
+ */
+export function replaySortTrace(trace, msg = 'Sort step') {
+    Validation.startsFor(trace)
+        .checkArray('sort.trace')
+        .validate();
+
+    trace.forEach(({action, indices, array}, step) =>
+        logArray(array, `${msg} ${step + 1} (${action} [${indices.join(', ')}]):`, {highlight: indices}));
+}
+
+/**
+ * Creates a function extracting the value to compare from an array element.
+ * @param {string|Function} [key] - Property path (dot separated) or extractor function.
+ * @param {string} [message] - The message key of the error if the key is neither a property path nor a function.
+ * @returns {Function} The key extractor, or the identity function when no key is provided.
+ */
+function createKeyExtractor(key, message = 'sort.key') {
+    Validation.startsFor(key)
+        .check(key === undefined || typeof key === 'function' || (typeof key === 'string' && key.length > 0), message)
+        .validate();
+
+    if (key === undefined) return (value) => value;
+    if (typeof key === 'function') return key;
+
+    return (value) => getValueByPath(value, key);
+}
+
+/**
+ * Resolves a dot separated property path against a value.
+ * @param {*} value - The value to read from.
+ * @param {string} path - The property path, e.g. 'user.address.city'.
+ * @returns {*} The resolved value, or undefined if any segment is missing.
+ */
+function getValueByPath(value, path) {
+    return path.split('.').reduce((current, segment) => current == null ? undefined : current[segment], value);
+}
+
+/**
+ * Ranks of the value types in the ordering used by {@link compareValues}.
+ * @type {Readonly<Object<string, number>>}
+ */
+const TYPE_RANKS = Object.freeze({
+    number: 0,
+    string: 1,
+    boolean: 2,
+    date: 3,
+    other: 4,
+    null: 5,
+    undefined: 6,
+});
+
+/**
+ * Compares two strings with the runtime locale, used when no collation options are provided.
+ * `localeCompare` without options is noticeably faster than an `Intl.Collator` instance.
+ * @param {string} a - First string.
+ * @param {string} b - Second string.
+ * @returns {number} Comparison result.
+ */
+const compareStringsByDefault = (a, b) => a.localeCompare(b);
+
+/**
+ * Names of the collation sort options, see {@link createStringComparator}.
+ * @type {Array<string>}
+ */
+const COLLATION_OPTIONS = ['locale', 'numeric', 'caseSensitive'];
+
+/**
+ * Creates a string comparator from the collation sort options.
+ * @param {Object} [options] - Collation options.
+ * @param {string|Array<string>} [options.locale] - Locale(s) used to collate strings.
+ * @param {boolean} [options.numeric=false] - Whether strings are collated numerically.
+ * @param {boolean} [options.caseSensitive=true] - Whether strings differing only by case are ordered.
+ * @returns {Function} The string comparator `(a, b) => number`.
+ */
+function createStringComparator({locale, numeric = false, caseSensitive = true} = {}) {
+    if (locale === undefined && !numeric && caseSensitive) return compareStringsByDefault;
+
+    return new Intl.Collator(locale, {numeric: Boolean(numeric), sensitivity: caseSensitive ? 'variant' : 'accent'})
+        .compare;
+}
+
+/**
+ * Compares two values for sorting using a type-aware total ordering:
+ * numbers < strings < booleans < dates < other values < null < undefined.
+ *
+ * - Numbers, BigInts and numeric strings (e.g. '3') are compared numerically, NaN after every other number.
+ * - Strings are compared with the provided string comparator.
+ * - Booleans are ordered false before true.
+ * - Dates are compared chronologically, invalid dates after every valid one.
+ * - Other values (objects, arrays, symbols, functions) are compared by their string representation.
+ *
+ * @param {*} a - First value.
+ * @param {*} b - Second value.
+ * @param {Function} [compareStrings] - Comparator used to collate strings.
+ * @returns {number} Comparison result.
+ */
+function compareValues(a, b, compareStrings = compareStringsByDefault) {
+    if (typeof a === 'number' && typeof b === 'number') return compareNumbers(a, b);
+
+    const rankA = getTypeRank(a);
+    const rankB = getTypeRank(b);
+
+    if (rankA !== rankB) return rankA - rankB;
+
+    switch (rankA) {
+        case TYPE_RANKS.number:
+            return compareNumbers(typeof a === 'string' ? Number(a) : a, typeof b === 'string' ? Number(b) : b);
+        case TYPE_RANKS.string:
+            return compareStrings(a, b);
+        case TYPE_RANKS.boolean:
+            return a - b;
+        case TYPE_RANKS.date:
+            return compareNumbers(a.getTime(), b.getTime());
+        case TYPE_RANKS.other:
+            return compareStrings(toSortString(a), toSortString(b));
+        default:
+            return 0;
+    }
+}
+
+/**
+ * Converts a value of the 'other' type rank to the string it is compared by.
+ * Objects without a string conversion (e.g. `Object.create(null)`) are compared by their `[object Type]` tag.
+ * @param {*} value - The value to convert.
+ * @returns {string} The string representation of the value.
+ */
+function toSortString(value) {
+    try {
+        return String(value);
+    } catch {
+        return Object.prototype.toString.call(value);
+    }
+}
+
+/**
+ * Determines the rank of a value's type in the ordering used by {@link compareValues}.
+ * @param {*} value - The value to rank.
+ * @returns {number} One of the {@link TYPE_RANKS} values.
+ */
+function getTypeRank(value) {
+    if (value === null) return TYPE_RANKS.null;
+    if (value instanceof Date) return TYPE_RANKS.date;
+
+    switch (typeof value) {
+        case 'undefined':
+            return TYPE_RANKS.undefined;
+        case 'number':
+        case 'bigint':
+            return TYPE_RANKS.number;
+        case 'string':
+            return isNumericString(value) ? TYPE_RANKS.number : TYPE_RANKS.string;
+        case 'boolean':
+            return TYPE_RANKS.boolean;
+        default:
+            return TYPE_RANKS.other;
+    }
+}
+
+/**
+ * Checks if a string represents a number, ignoring blank strings that `Number()` would convert to zero.
+ * @param {string} value - The string to check.
+ * @returns {boolean} True if the string is numeric; otherwise false.
+ */
+function isNumericString(value) {
+    const number = Number(value);
+    return !isNaN(number) && (number !== 0 || value.trim() !== '');
+}
+
+/**
+ * Compares two numbers or BigInts, placing NaN after every other number.
+ * @param {number|bigint} a - First number.
+ * @param {number|bigint} b - Second number.
+ * @returns {number} Comparison result.
+ */
+function compareNumbers(a, b) {
+    const isNaNA = Number.isNaN(a);
+    const isNaNB = Number.isNaN(b);
+
+    if (isNaNA || isNaNB) return isNaNA - isNaNB;
+
+    return a < b ? -1 : a > b ? 1 : 0;
+}
+
+/**
+ * Compares two values where at least one is null or undefined.
+ * Nullish values are placed before or after every other value, null before undefined.
+ * @param {*} a - First value.
+ * @param {*} b - Second value.
+ * @param {string} [nulls='last'] - Placement of nullish values ('first' or 'last').
+ * @returns {number} Comparison result.
+ */
+function compareNullish(a, b, nulls = 'last') {
+    if (a == null && b == null) return getTypeRank(a) - getTypeRank(b);
+
+    return (a == null ? 1 : -1) * (nulls === 'first' ? -1 : 1);
+}
+
+/* --------------------- Sorted Array Functions --------------------- */
+
+/**
+ * Options of the functions working on sorted arrays: the sorting options the array is sorted by,
+ * and whether the array is verified to be sorted first.
+ * @typedef {SortOptions} SortedArrayOptions
+ * @property {boolean} [checkSorted] - Verifies that the array is sorted, throwing a validation error
+ * when it is not. Defaults to the CHECK_SORTED_INPUT debug setting of the validation configuration.
+ */
+
+/**
+ * Finds an element in a sorted array by binary search.
+ * Elements are compared like by {@link compareValues}, or by the keys and comparators of the options;
+ * with keys, the searched value is compared the same way as the elements.
+ * @param {Array|TypedArray} array - The sorted array to search.
+ * @param {*} value - The value to find.
+ * @param {string|SortedArrayOptions} [options='asc'] - Sorting order the array is sorted in or options.
+ * @returns {number} Index of the first element equal to the value, or -1 if not found.
+ */
+export function binarySearch(array, value, options = 'asc') {
+    const {compare} = resolveSortedArrayOptions(array, options);
+    const index = findBound(array, value, compare, false);
+
+    return index < array.length && compare(array[index], value) === 0 ? index : -1;
+}
+
+/**
+ * Finds the first index of a sorted array where a value can be inserted without breaking the order,
+ * before the elements equal to it.
+ * @param {Array|TypedArray} array - The sorted array to search.
+ * @param {*} value - The value to locate.
+ * @param {string|SortedArrayOptions} [options='asc'] - Sorting order the array is sorted in or options.
+ * @returns {number} Index of the first element not placed before the value.
+ */
+export function lowerBound(array, value, options = 'asc') {
+    const {compare} = resolveSortedArrayOptions(array, options);
+    return findBound(array, value, compare, false);
+}
+
+/**
+ * Finds the last index of a sorted array where a value can be inserted without breaking the order,
+ * after the elements equal to it.
+ * @param {Array|TypedArray} array - The sorted array to search.
+ * @param {*} value - The value to locate.
+ * @param {string|SortedArrayOptions} [options='asc'] - Sorting order the array is sorted in or options.
+ * @returns {number} Index of the first element placed after the value.
+ */
+export function upperBound(array, value, options = 'asc') {
+    const {compare} = resolveSortedArrayOptions(array, options);
+    return findBound(array, value, compare, true);
+}
+
+/**
+ * Inserts values into a sorted array keeping it sorted. Values equal to existing elements are inserted
+ * after them, in the order they were provided.
+ * @param {Array|TypedArray} array - The sorted array to modify.
+ * @param {*|Array} values - Values to insert.
+ * @param {string|SortedArrayOptions} [options='asc'] - Sorting order the array is sorted in or options.
+ * @returns {Array|TypedArray} The modified array; typed arrays cannot be resized, so a new typed array
+ * with the inserted values is returned for them and the provided one is left untouched.
+ */
+export function insertSorted(array, values, options = 'asc') {
+    const {order, compare} = resolveSortedArrayOptions(array, options);
+
+    Validation.startsFor(values)
+        .checkNullOrEmpty('values.nullOrEmpty')
+        .validate();
+
+    if (isTypedArray(array)) {
+        validateTypedArrayValues(array, values);
+        return applyToTypedArrayCopy(array, (copy) =>
+            insertSorted(copy, values, {...normalizeSortOptions(options), checkSorted: false}));
+    }
+
+    performActionsWithMessage(`Insert sorted action in ${order} mode triggered with values to insert: [${values}]`,
+        () => {
+            const snapshot = takeSnapshotForDiff(array);
+            performActionToArrayOrValue(values, (value) =>
+                array.splice(findBound(array, value, compare, true), 0, value));
+            logModifiedArray(array, snapshot, 'Print modified array:');
+        });
+
+    return array;
+}
+
+/**
+ * Merges two sorted arrays into a new sorted array. Equal elements keep their order,
+ * elements of the first array before those of the second one.
+ * @param {Array|TypedArray} array - The first sorted array.
+ * @param {Array|TypedArray} other - The second sorted array.
+ * @param {string|SortedArrayOptions} [options='asc'] - Sorting order both arrays are sorted in or options.
+ * @returns {Array} The merged array.
+ */
+export function mergeSorted(array, other, options = 'asc') {
+    const {order, compare} = resolveSortedArrayOptions(array, options);
+    resolveSortedArrayOptions(other, options, 'otherArray.invalid');
+
+    const merged = new Array(array.length + other.length);
+    let left = 0;
+    let right = 0;
+
+    performActionsWithMessage(`Merge sorted arrays action in ${order} mode triggered`, () => {
+        for (let k = 0; k < merged.length; k++) {
+            merged[k] = left < array.length && (right >= other.length || compare(array[left], other[right]) <= 0)
+                ? array[left++]
+                : other[right++];
+        }
+        logArray(merged, 'Merged array:');
+    });
+
+    return merged;
+}
+
+/**
+ * Validates the array and options of a sorted array function, verifying that the array is sorted
+ * when the sorted check is enabled.
+ * @param {Array|TypedArray} array - The sorted array.
+ * @param {string|SortedArrayOptions} options - Sorting order or options.
+ * @param {string} [message='Provided array is invalid.'] - The error message if the array is invalid.
+ * @returns {{order: string, compare: Function}} The resolved order and comparator.
+ * @throws {Error} If the array is invalid or not sorted while the sorted check is enabled.
+ */
+function resolveSortedArrayOptions(array, options, message = 'array.invalid') {
+    Validation.startsFor(array)
+        .checkArrayOrTypedArray(message)
+        .validate();
+
+    const {checkSorted = Boolean(VALIDATION_CONFIG.CHECK_SORTED_INPUT), ...sortOptions} = normalizeSortOptions(options);
+    const {order, compare} = resolveSortOptions(sortOptions);
+
+    if (checkSorted) {
+        const index = findUnsortedIndex(array, compare);
+
+        Validation.startsFor(array)
+            .check(index === -1, () => getMessage('sort.unsorted', {
+                order, element: String(array[index]), index, previous: String(array[index - 1]),
+            }))
+            .validate();
+    }
+
+    return {order, compare};
+}
+
+/**
+ * Finds the first element of an array placed before its predecessor in sorting order.
+ * @param {Array|TypedArray} array - The array to check.
+ * @param {Function} compare - Comparator that already accounts for the sorting order.
+ * @returns {number} Index of the first misplaced element, or -1 if the array is sorted.
+ */
+function findUnsortedIndex(array, compare) {
+    for (let i = 1; i < array.length; i++) {
+        if (compare(array[i - 1], array[i]) > 0) return i;
+    }
+    return -1;
+}
+
+/**
+ * Finds the lower or upper bound of a value in a sorted array by binary search.
+ * @param {Array|TypedArray} array - The sorted array.
+ * @param {*} value - The value to locate.
+ * @param {Function} compare - Comparator that already accounts for the sorting order.
+ * @param {boolean} upper - True for the first element placed after the value, false for the first
+ * element not placed before it.
+ * @returns {number} The bound index.
+ */
+function findBound(array, value, compare, upper) {
+    let low = 0;
+    let high = array.length;
+
+    while (low < high) {
+        const middle = (low + high) >>> 1;
+        const comparison = compare(array[middle], value);
+
+        if (comparison < 0 || (upper && comparison === 0)) {
+            low = middle + 1;
+        } else {
+            high = middle;
+        }
+    }
+
+    return low;
+}
+
+/* --------------------- Immutable Operations --------------------- */
+
+/**
+ * Non-mutating counterparts of the in-place array operations.
+ * Each function takes the same arguments as its in-place counterpart, applies the operation
+ * to a shallow copy of the array with the same validation and logging, and returns the copy,
+ * leaving the provided array untouched.
+ * @example
+ * const sorted = immutable.quickSort(array, 'desc');
+ * @type {Readonly<Object<string, function(Array, ...*): Array>>}
+ */
+export const immutable = Object.freeze({
+    addUniqueValues: toImmutable(addUniqueValues),
+    replaceWithFlatValues: toImmutable(replaceWithFlatValues),
+    removeValues: toImmutable(removeValues),
+    removeByCount: toImmutable(removeByCount),
+    convertToStrings: toImmutable(convertToStrings),
+    convertToNumbers: toImmutable(convertToNumbers),
+    convertToBooleans: toImmutable(convertToBooleans),
+    convertToDates: toImmutable(convertToDates),
+    bubbleSort: toImmutable(bubbleSort),
+    quickSort: toImmutable(quickSort),
+    mergeSort: toImmutable(mergeSort),
+    heapSort: toImmutable(heapSort),
+    insertionSort: toImmutable(insertionSort),
+    sort: toImmutable(sort),
+    insertSorted: toImmutable(insertSorted),
+    sortBy: toImmutable(sortBy),
+});
+
+/**
+ * Creates a non-mutating counterpart of an in-place array operation.
+ * Values that are not arrays are passed through unchanged, so the operation reports them through its own validation.
+ * @param {Function} operation - The in-place operation taking the array as its first argument.
+ * @returns {function(Array|TypedArray, ...*): Array|TypedArray} The operation applied to a copy of the array,
+ * returning the copy, or the new typed array returned by operations resizing a typed array.
+ */
+function toImmutable(operation) {
+    return (array, ...args) => {
+        const copy = Array.isArray(array) || isTypedArray(array) ? array.slice() : array;
+        const result = operation(copy, ...args);
+        return isTypedArray(result) ? result : copy;
+    };
+}
+
+/* --------------------- Filtering Functions --------------------- */
+
+/**
+ * Retrieves an element from an array by its value.
+ * @param {Array} array - The array to search.
+ * @param {*} element - The element to find.
+ * @param {EqualityOptions} [options] - Equality used to find the element, 'strict' by default.
+ * @returns {*|undefined} The found element, or undefined if not found.
+ */
+export function getElementByValue(array, element, {equality = 'strict', by} = {}) {
+    Validation.startsFor(element)
+        .checkNullOrEmpty('element.required')
+        .validate();
+
+    Validation.startsFor(array)
+        .checkNullOrEmpty('array.empty')
+        .validate();
+
+    const equals = createEqualityMatcher(equality, by);
+    return array.find(item => equals(item, element));
+}
+
+/**
+ * Filters string elements longer than a specified length.
+ * @param {Array} array - The array to filter.
+ * @param {number} length - The minimum length of strings to keep.
+ * @returns {Array<string>} Filtered array of strings.
+ */
+export function filterStringsLongerThan(array, length) {
+    Validation.startsFor(length)
+        .checkNullOrEmpty('length.required')
+        .checkFinite('length.invalid')
+        .checkPositiveNumber('length.positive')
+        .validate();
+
+    return filterByCondition(array, (item) => typeof item === 'string' && item.length > length);
+}
+
+/**
+ * Filters string elements shorter than a specified length.
+ * @param {Array} array - The array to filter.
+ * @param {number} length - The maximum length of strings to keep.
+ * @returns {Array<string>} Filtered array of strings.
+ */
+export function filterStringsShorterThan(array, length) {
+    Validation.startsFor(length)
+        .checkNullOrEmpty('length.required')
+        .checkFinite('length.invalid')
+        .checkPositiveNumber('length.positive')
+        .validate();
+
+    return filterByCondition(array, (item) => typeof item === 'string' && item.length < length);
+}
+
+/**
+ * Filters numbers from the array.
+ * Every element of a typed array other than a BigInt array is a number, so it is copied natively.
+ * @param {Array|TypedArray} array - The array to filter.
+ * @returns {Array<number>|TypedArray} An array of numbers, a typed array of the same type for typed arrays.
+ */
+export function filterNumbers(array) {
+    if (isTypedArray(array) && !isBigIntTypedArray(array)) {
+        Validation.startsFor(array)
+            .checkNullOrEmpty('array.empty')
+            .validate();
+
+        return array.slice();
+    }
+
+    return filterByCondition(array, (item) => typeof item === 'number');
+}
+
+/**
+ * Filters numbers greater than a specified value.
+ * @param {Array} array - The array to filter.
+ * @param {number} threshold - The minimum value to keep.
+ * @returns {Array<number>} Filtered numbers.
+ */
+export function filterNumbersGreaterThan(array, threshold) {
+    Validation.startsFor(threshold)
+        .checkNullOrEmpty('number.required')
+        .checkFinite('number.invalid')
+        .validate();
+
+    return filterByCondition(array, (item) => typeof item === 'number' && item > threshold);
+}
+
+/**
+ * Filters numbers smaller than a specified value.
+ * @param {Array} array - The array to filter.
+ * @param {number} threshold - The maximum value to keep.
+ * @returns {Array<number>} Filtered numbers.
+ */
+export function filterNumbersSmallerThan(array, threshold) {
+    Validation.startsFor(threshold)
+        .checkNullOrEmpty('number.required')
+        .checkFinite('number.invalid')
+        .validate();
+
+    return filterByCondition(array, (item) => typeof item === 'number' && item < threshold);
+}
+
+/**
+ * Filters positive numbers from the array.
+ * @param {Array} array - The array to filter.
+ * @returns {Array<number>} An array of positive numbers.
+ */
+export function filterPositiveNumbers(array) {
+    return filterByCondition(array, (item) => typeof item === 'number' && item > 0);
+}
+
+/**
+ * Filters negative numbers from the array.
+ * @param {Array} array - The array to filter.
+ * @returns {Array<number>} An array of negative numbers.
+ */
+export function filterNegativeNumbers(array) {
+    return filterByCondition(array, (item) => typeof item === 'number' && item < 0);
+}
+
+/**
+ * Filters elements in the array based on a condition.
+ * @param {Array|TypedArray} array - The array to filter.
+ * @param {Function} condition - A function to determine if an element should be included.
+ * @returns {Array|TypedArray} Filtered array, a typed array of the same type for typed arrays.
+ */
+export function filterByCondition(array, condition) {
+    Validation.startsFor(condition)
+        .checkNullOrEmpty('condition.required')
+        .checkFunction('argument.notFunction')
+        .validate();
+
+    Validation.startsFor(array)
+        .checkNullOrEmpty('array.empty')
+        .validate();
+
+    return array.filter(condition);
+}
+
+/**
+ * Creates a chainable filter query over an array.
+ * @example
+ * query(array).numbers().greaterThan(3).or(q => q.strings().longerThan(5)).toArray();
+ * @param {Array} array - The array to query.
+ * @returns {ArrayQuery} A query matching every element until conditions are added.
+ */
+export function query(array) {
+    return new ArrayQuery(array);
+}
+
+/**
+ * Chainable, immutable filter query built on top of {@link filterByCondition}.
+ * Each condition method returns a new query combining the current predicate with the condition
+ * using AND; `or`, `and` and `not` combine with sub-queries built by a callback. Conditions are
+ * evaluated lazily, in a single pass, only when the query results are requested.
+ */
+export class ArrayQuery {
+    /**
+     * @param {Array} array - The array to query.
+     * @param {{description: string, test: Function, operator: string|null}|null} [condition] - The composed predicate.
+     */
+    constructor(array, condition = null) {
+        this.array = array;
+        this.condition = condition;
+    }
+
+    /**
+     * Adds a custom condition.
+     *
+     * @param {Function} predicate - A function deciding if an element matches.
+     * @param {string} [description='custom condition'] - Description of the condition used by {@link explain}.
+     * @returns {ArrayQuery} A new query with the condition added.
+     */
+    where(predicate, description = 'custom condition') {
+        Validation.startsFor(predicate)
+            .checkNullOrEmpty('condition.required')
+            .checkFunction('argument.notFunction')
+            .validate();
+
+        return this.and(new ArrayQuery(this.array, {description, test: predicate, operator: null}));
+    }
+
+    /**
+     * Keeps only numbers.
+     *
+     * @returns {ArrayQuery} A new query with the condition added.
+     */
+    numbers() {
+        return this.where((item) => typeof item === 'number', 'is number');
+    }
+
+    /**
+     * Keeps only strings.
+     *
+     * @returns {ArrayQuery} A new query with the condition added.
+     */
+    strings() {
+        return this.where((item) => typeof item === 'string', 'is string');
+    }
+
+    /**
+     * Keeps numbers greater than a threshold.
+     *
+     * @param {number} threshold - The exclusive lower bound.
+     * @returns {ArrayQuery} A new query with the condition added.
+     */
+    greaterThan(threshold) {
+        Validation.startsFor(threshold)
+            .checkNullOrEmpty('number.required')
+            .checkFinite('number.invalid')
+            .validate();
+
+        return this.where((item) => typeof item === 'number' && item > threshold, `> ${threshold}`);
+    }
+
+    /**
+     * Keeps numbers smaller than a threshold.
+     *
+     * @param {number} threshold - The exclusive upper bound.
+     * @returns {ArrayQuery} A new query with the condition added.
+     */
+    smallerThan(threshold) {
+        Validation.startsFor(threshold)
+            .checkNullOrEmpty('number.required')
+            .checkFinite('number.invalid')
+            .validate();
+
+        return this.where((item) => typeof item === 'number' && item < threshold, `< ${threshold}`);
+    }
+
+    /**
+     * Keeps positive numbers.
+     *
+     * @returns {ArrayQuery} A new query with the condition added.
+     */
+    positive() {
+        return this.where((item) => typeof item === 'number' && item > 0, 'is positive');
+    }
+
+    /**
+     * Keeps negative numbers.
+     *
+     * @returns {ArrayQuery} A new query with the condition added.
+     */
+    negative() {
+        return this.where((item) => typeof item === 'number' && item < 0, 'is negative');
+    }
+
+    /**
+     * Keeps strings longer than a length.
+     *
+     * @param {number} length - The exclusive minimal length.
+     * @returns {ArrayQuery} A new query with the condition added.
+     */
+    longerThan(length) {
+        Validation.startsFor(length)
+            .checkNullOrEmpty('length.required')
+            .checkFinite('length.invalid')
+            .checkPositiveNumber('length.positive')
+            .validate();
+
+        return this.where((item) => typeof item === 'string' && item.length > length, `length > ${length}`);
+    }
+
+    /**
+     * Keeps strings shorter than a length.
+     *
+     * @param {number} length - The exclusive maximal length.
+     * @returns {ArrayQuery} A new query with the condition added.
+     */
+    shorterThan(length) {
+        Validation.startsFor(length)
+            .checkNullOrEmpty('length.required')
+            .checkFinite('length.invalid')
+            .checkPositiveNumber('length.positive')
+            .validate();
+
+        return this.where((item) => typeof item === 'string' && item.length < length, `length < ${length}`);
+    }
+
+    /**
+     * Combines the query with another query using AND.
+     *
+     * @param {Function|ArrayQuery} other - A query or a callback building a sub-query from an empty one.
+     * @returns {ArrayQuery} A new query matching elements that match both queries.
+     */
+    and(other) {
+        const condition = this.resolveCondition(other);
+
+        if (!this.condition || !condition) return new ArrayQuery(this.array, this.condition || condition);
+
+        const [left, right] = [this.condition, condition];
+        return new ArrayQuery(this.array, {
+            description: `${describeOperand(left, 'AND')} AND ${describeOperand(right, 'AND')}`,
+            test: (item) => left.test(item) && right.test(item),
+            operator: 'AND',
+        });
+    }
+
+    /**
+     * Combines the query with another query using OR.
+     *
+     * @param {Function|ArrayQuery} other - A query or a callback building a sub-query from an empty one.
+     * @returns {ArrayQuery} A new query matching elements that match either query.
+     */
+    or(other) {
+        const condition = this.resolveCondition(other);
+
+        if (!this.condition || !condition) return new ArrayQuery(this.array, null);
+
+        const [left, right] = [this.condition, condition];
+        return new ArrayQuery(this.array, {
+            description: `${describeOperand(left, 'OR')} OR ${describeOperand(right, 'OR')}`,
+            test: (item) => left.test(item) || right.test(item),
+            operator: 'OR',
+        });
+    }
+
+    /**
+     * Combines the query with the negation of another query using AND.
+     *
+     * @param {Function|ArrayQuery} other - A query or a callback building a sub-query from an empty one.
+     * @returns {ArrayQuery} A new query matching elements that match this query but not the other one.
+     */
+    not(other) {
+        const condition = this.resolveCondition(other);
+
+        const negation = condition
+            ? {description: `NOT ${describeOperand(condition, 'NOT')}`, test: (item) => !condition.test(item)}
+            : {description: 'NOTHING', test: () => false};
+
+        return this.and(new ArrayQuery(this.array, {...negation, operator: null}));
+    }
+
+    /**
+     * Resolves the condition of a sub-query passed to a composition method.
+     *
+     * @param {Function|ArrayQuery} other - A query or a callback building a sub-query from an empty one.
+     * @returns {Object|null} The condition of the sub-query, or null if it matches every element.
+     */
+    resolveCondition(other) {
+        const subQuery = typeof other === 'function' ? other(new ArrayQuery(this.array)) : other;
+
+        Validation.startsFor(subQuery)
+            .check(subQuery instanceof ArrayQuery, 'query.subQuery')
+            .validate();
+
+        return subQuery.condition;
+    }
+
+    /**
+     * Evaluates the query in a single pass over the array.
+     *
+     * @returns {Array} The matching elements.
+     */
+    toArray() {
+        const condition = this.condition;
+        return filterByCondition(this.array, condition ? (item) => condition.test(item) : () => true);
+    }
+
+    /**
+     * Counts the matching elements.
+     *
+     * @returns {number} The number of matching elements.
+     */
+    count() {
+        let count = 0;
+        for (const item of this) count++;
+        return count;
+    }
+
+    /**
+     * Returns the first matching element, stopping the evaluation as soon as it is found.
+     *
+     * @returns {*|undefined} The first matching element, or undefined if none matches.
+     */
+    first() {
+        for (const item of this) return item;
+        return undefined;
+    }
+
+    /**
+     * Lazily iterates over the matching elements.
+     *
+     * @returns {Generator} The matching elements.
+     */
+    *[Symbol.iterator]() {
+        Validation.startsFor(this.array)
+            .checkNullOrEmpty('array.empty')
+            .validate();
+
+        for (const item of this.array) {
+            if (!this.condition || this.condition.test(item)) yield item;
+        }
+    }
+
+    /**
+     * Logs the composed predicate of the query.
+     *
+     * @returns {string} The description of the composed predicate.
+     */
+    explain() {
+        const description = this.condition ? this.condition.description : 'ALL';
+        logWithTimestamp(`Query predicate: ${colors.Green(description)}`, 'custom');
+        return description;
+    }
+}
+
+/**
+ * Describes an operand of a query operator, wrapping it in parentheses when it combines
+ * its own operands with a different operator.
+ * @param {{description: string, operator: string|null}} condition - The operand condition.
+ * @param {string} operator - The operator the operand is used with ('AND', 'OR' or 'NOT').
+ * @returns {string} The operand description.
+ */
+function describeOperand(condition, operator) {
+    return condition.operator && condition.operator !== operator
+        ? `(${condition.description})`
+        : condition.description;
+}
+
+/* --------------------- Grouping Functions --------------------- */
+
+/**
+ * Groups array elements by the key returned for each of them.
+ * @param {Array} array - The array to group.
+ * @param {Function} keyFn - A function `(item, index) => key` returning the group key of an element.
+ * @returns {Map<*, Array>} Groups of elements keyed by group key, in order of first appearance.
+ */
+export function groupBy(array, keyFn) {
+    Validation.startsFor(array)
+        .checkArray('array.invalid')
+        .checkNullOrEmpty('array.empty')
+        .validate();
+
+    Validation.startsFor(keyFn)
+        .checkNullOrEmpty('keyFunction.required')
+        .checkFunction('keyFunction.notFunction')
+        .validate();
+
+    const groups = new Map();
+
+    performActionsWithMessage('Group by action triggered', () => {
+        array.forEach((item, index) => {
+            const key = keyFn(item, index);
+
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(item);
+        });
+        groups.forEach((group, key) => logArray(group, `Group [${String(key)}]:`));
+    });
+
+    return groups;
+}
+
+/**
+ * Splits array elements into those matching a predicate and those that do not.
+ * @param {Array} array - The array to split.
+ * @param {Function} predicate - A function `(item, index) => boolean` deciding which part an element belongs to.
+ * @returns {Array<Array>} A pair of arrays: matching elements and non-matching elements.
+ */
+export function partition(array, predicate) {
+    Validation.startsFor(array)
+        .checkArray('array.invalid')
+        .checkNullOrEmpty('array.empty')
+        .validate();
+
+    Validation.startsFor(predicate)
+        .checkNullOrEmpty('predicate.required')
+        .checkFunction('predicate.notFunction')
+        .validate();
+
+    const matching = [];
+    const rest = [];
+
+    performActionsWithMessage('Partition action triggered', () => {
+        array.forEach((item, index) => (predicate(item, index) ? matching : rest).push(item));
+        logArray(matching, 'Matching elements:');
+        logArray(rest, 'Remaining elements:');
+    });
+
+    return [matching, rest];
+}
+
+/**
+ * Counts array elements by the key returned for each of them.
+ * @param {Array} array - The array to count.
+ * @param {Function} keyFn - A function `(item, index) => key` returning the key an element is counted under.
+ * @returns {Map<*, number>} Element counts keyed by key, in order of first appearance.
+ */
+export function countBy(array, keyFn) {
+    Validation.startsFor(array)
+        .checkArray('array.invalid')
+        .checkNullOrEmpty('array.empty')
+        .validate();
+
+    Validation.startsFor(keyFn)
+        .checkNullOrEmpty('keyFunction.required')
+        .checkFunction('keyFunction.notFunction')
+        .validate();
+
+    const counts = new Map();
+
+    performActionsWithMessage('Count by action triggered', () => {
+        array.forEach((item, index) => {
+            const key = keyFn(item, index);
+            counts.set(key, (counts.get(key) || 0) + 1);
+        });
+        logWithTimestamp([...counts].map(([key, count]) =>
+            colors.Green(`#${String(key)}: ${colors.GreenBold(count)}`)).join(', '), 'custom');
+    });
+
+    return counts;
+}
+
+/**
+ * Buckets the numeric values of an array into fixed-width or custom bins.
+ * Fixed-width bins start at the largest multiple of the width not exceeding the minimal value.
+ * Every bin includes its start and excludes its end, except the last one which includes both.
+ * With custom bins, values outside of the first and last boundary are not counted.
+ * @param {Array} array - The array to bucket.
+ * @param {Object} options - Bucketing options, either `width` or `bins` must be provided.
+ * @param {number} [options.width] - Width of fixed-width bins, producing at most {@link MAX_HISTOGRAM_BINS} bins.
+ * @param {Array<number>} [options.bins] - Ascending bin boundaries, e.g. [0, 10, 50, 100].
+ * @returns {Array<{start: number, end: number, count: number}>} The bins with their value counts.
+ */
+export function histogram(array, {width, bins} = {}) {
+    Validation.startsFor({width, bins})
+        .check((width === undefined) !== (bins === undefined), 'histogram.widthOrBins')
+        .validate();
+
+    Validation.startsFor(width)
+        .check(width === undefined || (typeof width === 'number' && width > 0 && Number.isFinite(width)),
+            'histogram.width')
+        .validate();
+
+    Validation.startsFor(bins)
+        .check(bins === undefined || (Array.isArray(bins) && bins.length > 1
+                && bins.every((boundary, index) => typeof boundary === 'number'
+                    && (index === 0 || boundary > bins[index - 1]))),
+            'histogram.bins')
+        .validate();
+
+    const numbers = filterNumbers(array).filter(item => Number.isFinite(item));
+    let buckets = [];
+
+    performActionsWithMessage('Histogram action triggered', () => {
+        buckets = bins ? bucketByBoundaries(numbers, bins) : bucketByWidth(numbers, width);
+        logWithTimestamp(buckets.map(({start, end, count}, index) =>
+            colors.Green(`#[${start}, ${end}${index === buckets.length - 1 ? ']' : ')'}: ${colors.GreenBold(count)}`))
+            .join(', '), 'custom');
+    });
+
+    return buckets;
+}
+
+/**
+ * Counts numbers into consecutive bins of the same width.
+ * @param {Array<number>} numbers - Finite numbers to count.
+ * @param {number} width - Width of each bin.
+ * @returns {Array<{start: number, end: number, count: number}>} The bins with their value counts.
+ */
+function bucketByWidth(numbers, width) {
+    if (numbers.length === 0) return [];
+
+    const min = numbers.reduce((acc, item) => Math.min(acc, item), Infinity);
+    const max = numbers.reduce((acc, item) => Math.max(acc, item), -Infinity);
+    const start = Math.floor(min / width) * width;
+    const length = Math.floor((max - start) / width) + 1;
+
+    Validation.startsFor(width)
+        .check(length <= MAX_HISTOGRAM_BINS,
+            () => getMessage('histogram.tooManyBins', {width, count: length, max: MAX_HISTOGRAM_BINS}))
+        .validate();
+
+    const buckets = Array.from({length}, (_, index) => ({
+        start: start + index * width,
+        end: start + (index + 1) * width,
+        count: 0,
+    }));
+
+    numbers.forEach((item) => buckets[Math.min(Math.floor((item - start) / width), buckets.length - 1)].count++);
+
+    return buckets;
+}
+
+/**
+ * Maximal number of fixed-width bins of a histogram.
+ * @type {number}
+ */
+const MAX_HISTOGRAM_BINS = 10_000;
+
+/**
+ * Counts numbers into bins delimited by the provided boundaries.
+ * @param {Array<number>} numbers - Finite numbers to count.
+ * @param {Array<number>} boundaries - Ascending bin boundaries.
+ * @returns {Array<{start: number, end: number, count: number}>} The bins with their value counts.
+ */
+function bucketByBoundaries(numbers, boundaries) {
+    const buckets = boundaries.slice(1).map((end, index) => ({start: boundaries[index], end, count: 0}));
+    const last = boundaries[boundaries.length - 1];
+
+    numbers.forEach((item) => {
+        if (item < boundaries[0] || item > last) return;
+
+        const index = item === last ? buckets.length - 1 : buckets.findIndex(({end}) => item < end);
+        buckets[index].count++;
+    });
+
+    return buckets;
+}
+
+/**
+ * Splits an array into consecutive chunks of the given size; the last chunk may be shorter.
+ * @param {Array} array - The array to split.
+ * @param {number} size - Number of elements in each chunk.
+ * @returns {Array<Array>} The chunks.
+ */
+export function chunk(array, size) {
+    Validation.startsFor(array)
+        .checkArray('array.invalid')
+        .checkNullOrEmpty('array.empty')
+        .validate();
+
+    Validation.startsFor(size)
+        .checkNullOrEmpty('size.required')
+        .checkFinite('size.invalid')
+        .checkPositiveNumber('size.positive')
+        .checkInteger('size.integer')
+        .validate();
+
+    const chunks = [];
+
+    performActionsWithMessage(`Chunk action triggered with chunk size: ${size}`, () => {
+        for (let start = 0; start < array.length; start += size) {
+            chunks.push(array.slice(start, start + size));
+        }
+        chunks.forEach((part, index) => logArray(part, `Chunk [${index}]:`));
+    });
+
+    return chunks;
+}
+
+/**
+ * Creates sliding windows of the given size over an array; only complete windows are returned.
+ * @param {Array} array - The array to slide over.
+ * @param {number} size - Number of elements in each window.
+ * @param {number} [step=1] - Number of elements the window moves by.
+ * @returns {Array<Array>} The windows.
+ */
+export function slidingWindow(array, size, step = 1) {
+    Validation.startsFor(array)
+        .checkArray('array.invalid')
+        .checkNullOrEmpty('array.empty')
+        .validate();
+
+    Validation.startsFor(size)
+        .checkNullOrEmpty('size.required')
+        .checkFinite('size.invalid')
+        .checkPositiveNumber('size.positive')
+        .checkInteger('size.integer')
+        .validate();
+
+    Validation.startsFor(step)
+        .checkFinite('step.invalid')
+        .checkPositiveNumber('step.positive')
+        .checkInteger('step.integer')
+        .validate();
+
+    const windows = [];
+
+    performActionsWithMessage(`Sliding window action triggered with window size: ${size} and step: ${step}`, () => {
+        for (let start = 0; start + size <= array.length; start += step) {
+            windows.push(array.slice(start, start + size));
+        }
+        windows.forEach((part, index) => logArray(part, `Window [${index}]:`));
+    });
+
+    return windows;
+}
+
+/* --------------------- Record Functions --------------------- */
+
+/**
+ * Extracts a property from every record of an array.
+ * @example
+ * pluck(users, 'address.city'); // ['Oslo', 'Lima', undefined]
+ * @param {Array<Object>} array - The array of records.
+ * @param {string|Function} path - Property path (dot separated) or function extracting the value.
+ * @returns {Array} The extracted values, undefined for records missing the path.
+ */
+export function pluck(array, path) {
+    validateRecords(array);
+    const extract = createKeyExtractor(path, PROPERTY_PATH_MESSAGE);
+
+    const values = array.map(record => extract(record));
+    logArray(values, `Plucked values of [${describePath(path)}]:`);
+
+    return values;
+}
+
+/**
+ * Creates copies of the records of an array containing only the provided properties.
+ * Nested paths keep their structure, e.g. 'user.name' results in `{user: {name}}`; missing paths are skipped.
+ * @param {Array<Object>} array - The array of records.
+ * @param {Array<string>} paths - Property paths (dot separated) to keep.
+ * @returns {Array<Object>} The new records.
+ */
+export function pick(array, paths) {
+    validateRecords(array);
+
+    Validation.startsFor(paths)
+        .checkArray('paths.invalid')
+        .checkNullOrEmpty('paths.empty')
+        .check(Array.isArray(paths) && paths.every(path => typeof path === 'string' && path.length > 0),
+            'paths.nonEmpty')
+        .validate();
+
+    Validation.startsFor(paths)
+        .check(paths.every(path => !path.split('.').some(segment => UNSAFE_PATH_SEGMENTS.includes(segment))),
+            () => getMessage('paths.unsafe', {segments: UNSAFE_PATH_SEGMENTS.join(', ')}))
+        .validate();
+
+    const picked = array.map(record => paths.reduce((copy, path) => {
+        const segments = path.split('.');
+        let source = record;
+
+        for (const segment of segments) {
+            if (source == null || !Object.hasOwn(Object(source), segment)) return copy;
+            source = source[segment];
+        }
+
+        let target = copy;
+        segments.slice(0, -1).forEach(segment =>
+            target = Object.hasOwn(target, segment) ? target[segment] : (target[segment] = {}));
+        target[segments.at(-1)] = source;
+
+        return copy;
+    }, {}));
+    logArray(picked, `Picked records [${paths.join(', ')}]:`);
+
+    return picked;
+}
+
+/**
+ * Filters the records of an array matching every criterion.
+ * A criterion is either a value compared by deep equality with the value at its path,
+ * or a predicate `(value, record) => boolean` called with it.
+ * @example
+ * where(users, {'address.city': 'Oslo', age: age => age >= 18});
+ * @param {Array<Object>} array - The array of records.
+ * @param {Object<string, *>} criteria - Expected values or predicates keyed by property path.
+ * @returns {Array<Object>} The matching records.
+ */
+export function where(array, criteria) {
+    validateRecords(array);
+
+    Validation.startsFor(criteria)
+        .check(criteria !== null && typeof criteria === 'object' && !Array.isArray(criteria),
+            'criteria.invalid')
+        .validate();
+
+    Validation.startsFor(criteria)
+        .check(Object.keys(criteria).length > 0, 'criteria.empty')
+        .validate();
+
+    const conditions = Object.entries(criteria).map(([path, expected]) => {
+        const matches = typeof expected === 'function' ? expected : (value) => deepEqual(value, expected);
+        return (record) => Boolean(matches(getValueByPath(record, path), record));
+    });
+
+    const matching = array.filter(record => conditions.every(condition => condition(record)));
+    logArray(matching, `Records matching [${Object.keys(criteria).join(', ')}]:`);
+
+    return matching;
+}
+
+/**
+ * Sorts the records of an array by the value at a property path, keeping the order of equal records.
+ * Values are compared as by {@link sort}, with missing values placed last.
+ * @param {Array<Object>} array - The array of records.
+ * @param {string|Function} path - Property path (dot separated) or function extracting the value to sort by.
+ * @param {string} [order='asc'] - Sorting order ('asc' or 'desc').
+ * @returns {Array<Object>} The sorted array.
+ */
+export function sortBy(array, path, order = 'asc') {
+    validateRecords(array);
+    createKeyExtractor(path, PROPERTY_PATH_MESSAGE);
+
+    sort(array, {algorithm: 'merge', key: path, order});
+
+    return array;
+}
+
+/**
+ * Indexes the records of an array by the value at a property path.
+ * When several records share a key, the last one is kept.
+ * @example
+ * indexBy(users, 'id').get(42);
+ * @param {Array<Object>} array - The array of records.
+ * @param {string|Function} path - Property path (dot separated) or function extracting the key.
+ * @returns {Map<*, Object>} Records keyed by the value at the path, in order of first appearance of the keys.
+ */
+export function indexBy(array, path) {
+    validateRecords(array);
+    const extract = createKeyExtractor(path, PROPERTY_PATH_MESSAGE);
+
+    const index = new Map();
+
+    performActionsWithMessage(`Index by [${describePath(path)}] action triggered`, () => {
+        array.forEach(record => index.set(extract(record), record));
+        logWithTimestamp([...index].map(([key, record]) =>
+            colors.Green(`#${String(key)}: ${colors.GreenBold(summarizeValue(record))}`)).join(', '), 'custom');
+    });
+
+    return index;
+}
+
+/**
+ * Path segments {@link pick} refuses to write, as they would reach the prototype of the copies.
+ * @type {Array<string>}
+ */
+const UNSAFE_PATH_SEGMENTS = ['__proto__', 'constructor', 'prototype'];
+
+/**
+ * Error message for invalid property paths of the record functions.
+ * @type {string}
+ */
+const PROPERTY_PATH_MESSAGE = 'path.invalid';
+
+/**
+ * Validates that an array is a non-empty array of records (non-null objects).
+ * @param {Array} array - The array to validate.
+ */
+function validateRecords(array) {
+    Validation.startsFor(array)
+        .checkArray('array.invalid')
+        .checkNullOrEmpty('array.empty')
+        .validate();
+
+    const index = array.findIndex(item => item === null || typeof item !== 'object');
+
+    Validation.startsFor(array)
+        .check(index === -1,
+            () => getMessage('records.notObject', {element: String(array[index]), index}))
+        .validate();
+}
+
+/**
+ * Describes a property path or extractor function for logs.
+ * @param {string|Function} path - The property path or extractor function.
+ * @returns {string} The path, or the function name.
+ */
+function describePath(path) {
+    return typeof path === 'function' ? path.name || 'function' : path;
+}
+
+/* --------------------- Set Operations --------------------- */
+
+/**
+ * Options deciding when two elements are treated as the same set member.
+ * @typedef {Object} SetOptions
+ * @property {string|Function} [by] - Property path or function extracting the value elements are matched by.
+ * @property {Function} [equals] - Custom equality `(a, b) => boolean`, used instead of `by` and `mode`.
+ * @property {string} [mode='strict'] - 'strict' treats `1` and `'1'` as different members, 'loose' compares
+ * string representations and treats them as the same member, like the type change detection of {@link logArray}.
+ * Objects are compared loosely by their structure, see {@link toLooseKey}.
+ */
+
+/**
+ * Creates the union of two arrays: every distinct member of either of them.
+ * @param {Array} array - The first array.
+ * @param {Array} other - The second array.
+ * @param {SetOptions} [options] - Member matching options.
+ * @returns {Array} Distinct members of both arrays, in order of first appearance.
+ */
+export function union(array, other, options = {}) {
+    const {distinct} = createSetMatcher(array, other, options);
+    let result;
+
+    performActionsWithMessage('Union action triggered', () => {
+        result = distinct([...array, ...other]);
+        logArray(result, 'Union result:');
+    });
+
+    return result;
+}
+
+/**
+ * Creates the intersection of two arrays: distinct members of the first array present in the second one.
+ * @param {Array} array - The first array.
+ * @param {Array} other - The second array.
+ * @param {SetOptions} [options] - Member matching options.
+ * @returns {Array} Distinct common members, in order of the first array.
+ */
+export function intersection(array, other, options = {}) {
+    const {includes, distinct} = createSetMatcher(array, other, options);
+    let result;
+
+    performActionsWithMessage('Intersection action triggered', () => {
+        result = distinct(array.filter(item => includes(other, item)));
+        logArray(result, 'Intersection result:');
+    });
+
+    return result;
+}
+
+/**
+ * Creates the difference of two arrays: distinct members of the first array missing from the second one.
+ * @param {Array} array - The first array.
+ * @param {Array} other - The array of members to exclude.
+ * @param {SetOptions} [options] - Member matching options.
+ * @returns {Array} Distinct members only present in the first array, in order of the first array.
+ */
+export function difference(array, other, options = {}) {
+    const {includes, distinct} = createSetMatcher(array, other, options);
+    let result;
+
+    performActionsWithMessage('Difference action triggered', () => {
+        result = distinct(array.filter(item => !includes(other, item)));
+        logArray(result, 'Difference result:');
+    });
+
+    return result;
+}
+
+/**
+ * Creates the symmetric difference of two arrays: distinct members present in exactly one of them.
+ * @param {Array} array - The first array.
+ * @param {Array} other - The second array.
+ * @param {SetOptions} [options] - Member matching options.
+ * @returns {Array} Distinct members of the first array missing from the second one, followed by
+ * distinct members of the second array missing from the first one.
+ */
+export function symmetricDifference(array, other, options = {}) {
+    const {includes, distinct} = createSetMatcher(array, other, options);
+    let result;
+
+    performActionsWithMessage('Symmetric difference action triggered', () => {
+        result = distinct([
+            ...array.filter(item => !includes(other, item)),
+            ...other.filter(item => !includes(array, item)),
+        ]);
+        logArray(result, 'Symmetric difference result:');
+    });
+
+    return result;
+}
+
+/**
+ * Checks if every member of the first array is present in the second one.
+ * @param {Array} array - The possible subset.
+ * @param {Array} other - The possible superset.
+ * @param {SetOptions} [options] - Member matching options.
+ * @returns {boolean} True if the first array is a subset of the second one; otherwise false.
+ */
+export function isSubset(array, other, options = {}) {
+    const {includes} = createSetMatcher(array, other, options);
+    const result = array.every(item => includes(other, item));
+
+    logWithTimestamp(`Is subset check result: ${colors.Green(result)}`, 'custom');
+    return result;
+}
+
+/**
+ * Checks if two arrays have no members in common.
+ * @param {Array} array - The first array.
+ * @param {Array} other - The second array.
+ * @param {SetOptions} [options] - Member matching options.
+ * @returns {boolean} True if the arrays have no common members; otherwise false.
+ */
+export function isDisjoint(array, other, options = {}) {
+    const {includes} = createSetMatcher(array, other, options);
+    const result = !array.some(item => includes(other, item));
+
+    logWithTimestamp(`Is disjoint check result: ${colors.Green(result)}`, 'custom');
+    return result;
+}
+
+/**
+ * Validates the arguments of a set operation and creates its member matching helpers.
+ * Lookups into an array are indexed by member key, unless a custom equality is provided.
+ * @param {Array} array - The first array.
+ * @param {Array} other - The second array.
+ * @param {SetOptions} options - Member matching options.
+ * @returns {{includes: Function, distinct: Function}} `includes(array, item)` checking if an array contains
+ * a member matching the item, and `distinct(array)` removing repeated members from an array.
+ */
+function createSetMatcher(array, other, {by, equals, mode = 'strict'} = {}) {
+    Validation.startsFor(array)
+        .checkArray('array.invalid')
+        .validate();
+
+    Validation.startsFor(other)
+        .checkArray('otherArray.invalid')
+        .validate();
+
+    Validation.startsFor(equals)
+        .check(equals === undefined || typeof equals === 'function', 'set.equals')
+        .validate();
+
+    const keyOf = createMemberKeyExtractor(by, mode, 'set.key');
+
+    if (equals) {
+        return {
+            includes: (members, item) => members.some(member => equals(member, item)),
+            distinct: (members) => members.filter((item, index) =>
+                members.findIndex(member => equals(member, item)) === index),
+        };
+    }
+
+    const indexes = new WeakMap();
+
+    const indexOf = (members) => {
+        if (!indexes.has(members)) indexes.set(members, new Set(members.map(keyOf)));
+        return indexes.get(members);
+    };
+
+    return {
+        includes: (members, item) => indexOf(members).has(keyOf(item)),
+        distinct: (members) => {
+            const seen = new Set();
+            return members.filter((item) => {
+                const key = keyOf(item);
+                return !seen.has(key) && seen.add(key);
+            });
+        },
+    };
+}
+
+/**
+ * Creates a function returning the key elements are matched by, as a set member or a duplicate.
+ * @param {string|Function} [by] - Property path or function extracting the value elements are matched by.
+ * @param {string} mode - 'strict' keeps the extracted values, 'loose' compares their {@link toLooseKey} keys.
+ * @param {string} message - Message key of the error for an invalid `by`.
+ * @returns {function(*): *} The member key extractor.
+ * @throws {Error} If the mode or `by` is invalid.
+ */
+function createMemberKeyExtractor(by, mode, message) {
+    Validation.startsFor(mode)
+        .check(['strict', 'loose'].includes(mode), 'set.mode')
+        .validate();
+
+    const extract = createKeyExtractor(by, message);
+    return mode === 'loose' ? (item) => toLooseKey(extract(item)) : extract;
+}
+
+/**
+ * Creates the structural key of a value for 'loose' matching. Primitives are keyed by their string representation,
+ * Dates by their time, arrays by the keys of their elements, plain objects by the keys of their own enumerable
+ * properties in sorted order, and Maps and Sets by the sorted keys of their entries and members.
+ * @param {*} value - The value to create the key of.
+ * @param {Set<Object>} [ancestors] - Objects containing the value, to stop on cycles.
+ * @returns {string} The loose key of the value.
+ */
+function toLooseKey(value, ancestors = new Set()) {
+    if (typeof value !== 'object' || value === null) return JSON.stringify(toSortString(value));
+    if (value instanceof Date) return `Date(${value.getTime()})`;
+    if (ancestors.has(value)) return '[Circular]';
+
+    const keyOf = (item) => toLooseKey(item, ancestors);
+    let key;
+
+    ancestors.add(value);
+
+    if (Array.isArray(value)) {
+        key = `[${value.map(keyOf).join(',')}]`;
+    } else if (value instanceof Map) {
+        key = `Map{${[...value].map(([entryKey, item]) => `${keyOf(entryKey)}:${keyOf(item)}`).sort().join(',')}}`;
+    } else if (value instanceof Set) {
+        key = `Set[${[...value].map(keyOf).sort().join(',')}]`;
+    } else {
+        key = `{${Object.keys(value).sort().map(property => `${JSON.stringify(property)}:${keyOf(value[property])}`)
+            .join(',')}}`;
+    }
+
+    ancestors.delete(value);
+    return key;
+}
+
+/* --------------------- Deduplication Functions --------------------- */
+
+/**
+ * Options deciding when two elements are treated as duplicates.
+ * @typedef {Object} DuplicateOptions
+ * @property {string|Function} [by] - Property path or function extracting the value elements are matched by.
+ * @property {string} [mode='strict'] - 'strict' treats `1` and `'1'` as different values, 'loose' compares
+ * string representations and treats them as duplicates, like the type change detection of {@link logArray}.
+ * Objects are compared loosely by their structure, see {@link toLooseKey}.
+ */
+
+/**
+ * Removes repeated elements, returning a new array.
+ * @param {Array} array - The array to deduplicate.
+ * @param {DuplicateOptions & {keep: string}} [options] - Matching options and which occurrence of repeated
+ * elements is kept: 'first' (default) or 'last'. Kept elements stay in the order of their positions.
+ * @returns {Array} Elements without duplicates.
+ */
+export function unique(array, {by, mode = 'strict', keep = 'first'} = {}) {
+    const {keyOf} = validateDuplicateArguments(array, by, mode);
+
+    Validation.startsFor(keep)
+        .check(['first', 'last'].includes(keep), 'duplicates.keep')
+        .validate();
+
+    let result;
+
+    performActionsWithMessage(`Unique action triggered keeping the ${keep} occurrence`, () => {
+        const seen = new Set();
+        const lastIndexes = new Map();
+
+        if (keep === 'last') array.forEach((item, index) => lastIndexes.set(keyOf(item), index));
+        result = keep === 'last'
+            ? array.filter((item, index) => lastIndexes.get(keyOf(item)) === index)
+            : array.filter((item) => {
+                const key = keyOf(item);
+                return !seen.has(key) && seen.add(key);
+            });
+        logArray(result, 'Unique elements:');
+    });
+
+    return result;
+}
+
+/**
+ * Finds the elements occurring more than once.
+ * @param {Array} array - The array to search.
+ * @param {DuplicateOptions} [options] - Matching options.
+ * @returns {Array} The first occurrence of every repeated element, in order of first appearance.
+ */
+export function duplicates(array, {by, mode = 'strict'} = {}) {
+    const {occurrences} = validateDuplicateArguments(array, by, mode);
+    let result;
+
+    performActionsWithMessage('Duplicates action triggered', () => {
+        result = [...occurrences.values()].filter(({count}) => count > 1).map(({value}) => value);
+        logArray(result, 'Duplicated elements:');
+    });
+
+    return result;
+}
+
+/**
+ * Counts the occurrences of every distinct element.
+ * @param {Array} array - The array to count.
+ * @param {DuplicateOptions} [options] - Matching options.
+ * @returns {Map<*, number>} Occurrence counts keyed by the first occurrence of every distinct element
+ * (its extracted value when `by` is provided), in order of first appearance.
+ */
+export function frequencies(array, {by, mode = 'strict'} = {}) {
+    const {occurrences} = validateDuplicateArguments(array, by, mode);
+    const counts = new Map();
+    const extract = createKeyExtractor(by);
+
+    performActionsWithMessage('Frequencies action triggered', () => {
+        occurrences.forEach(({value, count}) => counts.set(extract(value), count));
+        logArray(formatCounts(counts), 'Element frequencies:');
+    });
+
+    return counts;
+}
+
+/**
+ * Finds the most frequent elements.
+ * @param {Array} array - The array to search.
+ * @param {number} [n=1] - Number of elements to return.
+ * @param {DuplicateOptions} [options] - Matching options.
+ * @returns {Array<Array>} Up to `n` pairs of `[element, count]` by descending count; elements with equal counts
+ * keep their order of first appearance.
+ */
+export function mostCommon(array, n = 1, options = {}) {
+    Validation.startsFor(n)
+        .checkFinite('count.invalid')
+        .checkPositiveNumber('count.positive')
+        .checkInteger('count.integer')
+        .validate();
+
+    const counts = frequencies(array, options);
+    let result;
+
+    performActionsWithMessage(`Most common action triggered for ${n} elements`, () => {
+        result = [...counts].sort(([, a], [, b]) => b - a).slice(0, n);
+        logArray(formatCounts(new Map(result)), 'Most common elements:');
+    });
+
+    return result;
+}
+
+/**
+ * Validates the arguments of a deduplication function and counts the occurrences of its elements.
+ * @param {Array} array - The array to deduplicate.
+ * @param {string|Function} [by] - Property path or function extracting the value elements are matched by.
+ * @param {string} mode - 'strict' or 'loose' matching.
+ * @returns {{keyOf: Function, occurrences: Map<*, {value: *, count: number}>}} The member key extractor and
+ * the first occurrence and count of every distinct element, keyed by member key.
+ */
+function validateDuplicateArguments(array, by, mode) {
+    Validation.startsFor(array)
+        .checkArray('array.invalid')
+        .validate();
+
+    const keyOf = createMemberKeyExtractor(by, mode, 'duplicates.key');
+    const occurrences = new Map();
+
+    array.forEach((item) => {
+        const key = keyOf(item);
+        const occurrence = occurrences.get(key);
+
+        occurrence ? occurrence.count++ : occurrences.set(key, {value: item, count: 1});
+    });
+
+    return {keyOf, occurrences};
+}
+
+/**
+ * Formats occurrence counts for {@link logArray}.
+ * @param {Map<*, number>} counts - Occurrence counts keyed by element.
+ * @returns {Array<string>} The counts as `element: count` strings.
+ */
+function formatCounts(counts) {
+    return [...counts].map(([value, count]) => `${String(value)}: ${count}`);
+}
+
+/* --------------------- Aggregation Functions --------------------- */
+
+/**
+ * Descriptive statistics of the numeric values of an array.
+ * Every statistic except `count`, `ignored` and `sum` is null when the array contains no numbers.
+ * @typedef {Object} Stats
+ * @property {number} count - Number of numeric values.
+ * @property {number} ignored - Number of non-numeric values and non-finite numbers that were skipped.
+ * @property {number} sum - Sum of the numeric values.
+ * @property {number|null} min - Minimal value.
+ * @property {number|null} max - Maximal value.
+ * @property {number|null} range - Difference between the maximal and minimal value.
+ * @property {number|null} average - Arithmetic mean.
+ * @property {number|null} median - Median value (50th percentile).
+ * @property {Array<number>|null} modes - Most frequent value(s), in ascending order.
+ * @property {number|null} variance - Population variance.
+ * @property {number|null} sampleVariance - Sample variance, null for less than two values.
+ * @property {number|null} standardDeviation - Population standard deviation.
+ * @property {number|null} sampleStandardDeviation - Sample standard deviation, null for less than two values.
+ * @property {Object<number, number>|null} percentiles - Requested percentiles keyed by percentile.
+ */
+
+/**
+ * Calculates descriptive statistics of numeric values in an array.
+ * Non-numeric values and non-finite numbers (NaN and ±Infinity, which would make the variance NaN)
+ * are skipped and reported through the `ignored` count; an empty array has the statistics of no values.
+ * Typed arrays are filtered and sorted by their native methods.
+ * @param {Array|TypedArray} array - The array to process.
+ * @param {Object} [options] - Calculation options.
+ * @param {Array<number>} [options.percentiles=[25, 50, 75]] - Percentiles (0-100) to calculate,
+ * using linear interpolation between the closest ranks.
+ * @returns {Stats} An object containing the calculated statistics.
+ */
+export function calculateStats(array, {percentiles = [25, 50, 75]} = {}) {
+    Validation.startsFor(percentiles)
+        .checkArray('percentiles.invalid')
+        .check(Array.isArray(percentiles) && percentiles.every(p => typeof p === 'number' && p >= 0 && p <= 100),
+            'percentiles.range')
+        .validate();
+
+    Validation.startsFor(array)
+        .checkArrayOrTypedArray('array.invalid')
+        .validate();
+
+    const numbers = array.length > 0 ? filterNumbers(array).filter(item => Number.isFinite(item)) : [];
+    const count = numbers.length;
+    const ignored = array.length - count;
+
+    if (count === 0) {
+        return {
+            count, ignored, sum: 0, min: null, max: null, range: null, average: null, median: null, modes: null,
+            variance: null, sampleVariance: null, standardDeviation: null, sampleStandardDeviation: null,
+            percentiles: null,
+        };
+    }
+
+    let min = Infinity;
+    let max = -Infinity;
+    let sum = 0;
+    let mean = 0;
+    let squaredDeviations = 0;
+
+    // Welford's online algorithm keeps the variance numerically stable for large values.
+    numbers.forEach((item, index) => {
+        if (item < min) min = item;
+        if (item > max) max = item;
+        sum += item;
+
+        const delta = item - mean;
+        mean += delta / (index + 1);
+        squaredDeviations += delta * (item - mean);
+    });
+
+    const sorted = numbers instanceof Float64Array ? numbers.sort() : Float64Array.from(numbers).sort();
+    const variance = squaredDeviations / count;
+    const sampleVariance = count > 1 ? squaredDeviations / (count - 1) : null;
+
+    return {
+        count,
+        ignored,
+        sum,
+        min,
+        max,
+        range: max - min,
+        average: sum / count,
+        median: percentileOfSorted(sorted, 50),
+        modes: modesOfSorted(sorted),
+        variance,
+        sampleVariance,
+        standardDeviation: Math.sqrt(variance),
+        sampleStandardDeviation: sampleVariance === null ? null : Math.sqrt(sampleVariance),
+        percentiles: Object.fromEntries(percentiles.map(p => [p, percentileOfSorted(sorted, p)])),
+    };
+}
+
+/**
+ * Calculates a percentile of sorted numbers using linear interpolation between the closest ranks.
+ * @param {Float64Array} sorted - Numbers sorted in ascending order.
+ * @param {number} percentile - The percentile to calculate (0-100).
+ * @returns {number} The percentile value.
+ */
+function percentileOfSorted(sorted, percentile) {
+    const rank = (percentile / 100) * (sorted.length - 1);
+    const lower = Math.floor(rank);
+    const upper = Math.ceil(rank);
+
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+}
+
+/**
+ * Finds the most frequent values of sorted numbers.
+ * @param {Float64Array} sorted - Numbers sorted in ascending order.
+ * @returns {Array<number>} The most frequent value(s), in ascending order.
+ */
+function modesOfSorted(sorted) {
+    let modes = [];
+    let highestFrequency = 0;
+
+    for (let start = 0, end = 0; start < sorted.length; start = end) {
+        while (end < sorted.length && sorted[end] === sorted[start]) end++;
+
+        const frequency = end - start;
+        if (frequency > highestFrequency) {
+            highestFrequency = frequency;
+            modes = [sorted[start]];
+        } else if (frequency === highestFrequency) {
+            modes.push(sorted[start]);
+        }
+    }
+
+    return modes;
+}
+
+/* --------------------- Utility Functions --------------------- */
+
+/**
+ * Logs the contents of an array with type information.
+ * @param {Array} array - The array to log.
+ * @param {string} [msg='Array log:'] - Custom message for the log.
+ * @param {Object} [options={}] - Logging options.
+ * @param {Array<number>} [options.highlight=[]] - Indices of the elements to highlight.
+ */
+export function logArray(array, msg, {highlight = []} = {}) {
+    performActionsWithMessage(msg || 'Print array action triggered:',
+        () => logWithTimestamp(formatArrayWithChanges(array, highlight).join(', '), 'custom'));
+}
+
+/**
+ * Takes a copy of an array about to be modified when modified arrays are logged as a diff.
+ * @param {Array} array - The array about to be modified.
+ * @returns {Array|null} The copy of the array, or null when modified arrays are logged against default values.
+ */
+function takeSnapshotForDiff(array) {
+    return LOGS_CONFIG.ARRAY_LOG_MODE === LOGS_CONFIG.ARRAY_LOG_MODES.DIFF ? [...array] : null;
+}
+
+/**
+ * Logs a modified array, as a diff against its snapshot taken before the modification when available,
+ * or compared with the default values otherwise.
+ * @param {Array} array - The modified array.
+ * @param {Array|null} snapshot - The array before the modification, see {@link takeSnapshotForDiff}.
+ * @param {string} msg - Custom message for the log.
+ */
+function logModifiedArray(array, snapshot, msg) {
+    snapshot ? logDiff(snapshot, array, msg) : logArray(array, msg);
+}
+
+/**
+ * Formats an array with colorized changes based on default values.
+ * @param {Array} array - The array to format.
+ * @param {Array<number>} [highlight=[]] - Indices of the elements to highlight.
+ * @returns {Array<string>} The formatted array as strings.
+ */
+function formatArrayWithChanges(array, highlight = []) {
+    const formattedArray = [];
+
+    array.forEach((value, index) => {
+        const summary = summarizeValue(value);
+
+        if (highlight.includes(index)) {
+            formattedArray.push(colors.YellowBold(`#${summary} (type: ${describeType(value)})`));
+            return;
+        }
+
+        const comparisonResult = compareWithDefaultValues(value);
+
+        const type = describeType(value);
+
+        if (comparisonResult.isDefaultValue && !comparisonResult.isTypeChanged) {
+            formattedArray.push(colors.Blue(`#${summary} (type: ${type})`));
+        } else if (comparisonResult.isTypeChanged) {
+            formattedArray.push(colors.Blue(`#${summary} (${colors.Green(`type: ${type}`)})`));
+        } else {
+            formattedArray.push(colors.Green(`#${summary} (type: ${type})`));
+        }
+    });
+
+    return formattedArray;
+}
+
+/**
+ * Compares a value with default values to determine changes.
+ * @param {*} value - The value to compare.
+ * @returns {Object} Comparison result with isDefaultValue and isTypeChanged.
+ */
+function compareWithDefaultValues(value) {
+    const comparisonResult = {
+        isDefaultValue: true,
+        isTypeChanged: false
+    };
 
     if (!DEFAULT_VALUES.includes(value)) {
         const defaultValuesAsStrings = [...DEFAULT_VALUES].map(String);
 
-        if (defaultValuesAsStrings.includes(String(value))) {
+        if (representationsOf(value).some(representation => defaultValuesAsStrings.includes(representation))) {
             comparisonResult.isTypeChanged = true;
         } else {
             comparisonResult.isDefaultValue = false;
@@ -477,6 +3230,360 @@ function compareWithDefaultValues(value) {
     return comparisonResult;
 }
 
+/**
+ * Describes the type of a value for logs, telling Dates and null apart from other objects.
+ * @param {*} value - The value to describe.
+ * @returns {string} The type name.
+ */
+function describeType(value) {
+    if (value instanceof Date) return 'date';
+    return value === null ? 'null' : typeof value;
+}
+
+/**
+ * Maximum number of properties or items listed by {@link summarizeValue}, the rest is counted only.
+ * @type {number}
+ */
+const SUMMARY_MAX_ENTRIES = 5;
+
+/**
+ * Summarizes a value for logs, rendering records and arrays as compact key/value lists
+ * nested up to two levels, e.g. `{id: 1, user: {name: 'Ann', tags: [...]}}`.
+ * @param {*} value - The value to summarize.
+ * @param {number} [depth=0] - Nesting level of the value.
+ * @returns {string} The summary.
+ */
+function summarizeValue(value, depth = 0) {
+    if (typeof value === 'string') return depth === 0 ? value : `'${value}'`;
+    if (value === null || typeof value !== 'object' || value instanceof Date) return String(value);
+    if (value instanceof Map || value instanceof Set) return `${value.constructor.name}(${value.size})`;
+
+    const isList = Array.isArray(value) || isTypedArray(value);
+    if (depth > 1) return isList ? '[...]' : '{...}';
+
+    const keys = isList ? [] : Object.keys(value);
+    const size = isList ? value.length : keys.length;
+    const entries = isList
+        ? Array.from(value.slice(0, SUMMARY_MAX_ENTRIES), item => summarizeValue(item, depth + 1))
+        : keys.slice(0, SUMMARY_MAX_ENTRIES).map(key => `${key}: ${summarizeValue(value[key], depth + 1)}`);
+    if (size > SUMMARY_MAX_ENTRIES) entries.push(`... ${size - SUMMARY_MAX_ENTRIES} more`);
+
+    return isList ? `[${entries.join(', ')}]` : `{${entries.join(', ')}}`;
+}
+
+/**
+ * Lists the string representations a value may have had before a type conversion:
+ * its string form, the timestamp of a Date and the number of a boolean. Records have none.
+ * @param {*} value - The value to represent.
+ * @returns {Array<string>} The string representations of the value.
+ */
+function representationsOf(value) {
+    if (value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date)) return [];
+    if (value instanceof Date && !isNaN(value.getTime())) return [String(value.getTime()), value.toISOString()];
+    if (typeof value === 'boolean') return [String(value), String(Number(value))];
+    return [String(value)];
+}
+
+/**
+ * Structural difference between two arrays.
+ * Indexes of removed elements refer to the "before" array, indexes of inserted elements to the "after" array.
+ * @typedef {Object} ArrayDiff
+ * @property {Array<{value: *, from: number, to: number}>} unchanged - Elements kept in their relative order.
+ * @property {Array<{value: *, index: number}>} inserted - Elements only present in the "after" array.
+ * @property {Array<{value: *, index: number}>} removed - Elements only present in the "before" array.
+ * @property {Array<{value: *, from: number, to: number}>} moved - Elements present in both arrays but
+ * out of their relative order.
+ * @property {Array<{before: *, after: *, from: number, to: number}>} typeChanged - Primitive elements whose
+ * value kept its string representation but changed its type (e.g. 1 -> '1').
+ */
+
+/**
+ * Computes the structural difference between two arrays.
+ * Elements kept in their relative order are found as the longest common subsequence of both arrays;
+ * the remaining elements are then paired up as moved (same value) or type changed (primitives with the same
+ * string representation), and the rest are reported as inserted or removed.
+ * @param {Array} before - The array before the changes.
+ * @param {Array} after - The array after the changes.
+ * @returns {ArrayDiff} The difference between the arrays.
+ * @throws {Error} If the changed parts of the arrays are too large to compare, see {@link MAX_DIFF_TABLE_SIZE}.
+ */
+export function diffArrays(before, after) {
+    Validation.startsFor(before)
+        .checkArray('diff.before')
+        .validate();
+
+    Validation.startsFor(after)
+        .checkArray('diff.after')
+        .validate();
+
+    Validation.startsFor(after)
+        .check(isDiffable(before, after), 'diff.tooLarge')
+        .validate();
+
+    const diff = {unchanged: [], inserted: [], removed: [], moved: [], typeChanged: []};
+    const [unmatchedBefore, unmatchedAfter] = [[], []];
+
+    let [from, to] = [0, 0];
+    for (const [matchFrom, matchTo] of longestCommonSubsequence(before, after)) {
+        for (; from < matchFrom; from++) unmatchedBefore.push({value: before[from], index: from});
+        for (; to < matchTo; to++) unmatchedAfter.push({value: after[to], index: to});
+        diff.unchanged.push({value: after[matchTo], from: from++, to: to++});
+    }
+    for (; from < before.length; from++) unmatchedBefore.push({value: before[from], index: from});
+    for (; to < after.length; to++) unmatchedAfter.push({value: after[to], index: to});
+
+    const pairUp = (matches, collect) => {
+        for (let i = unmatchedBefore.length - 1; i >= 0; i--) {
+            const j = unmatchedAfter.findIndex(({value}) => matches(unmatchedBefore[i].value, value));
+            if (j === -1) continue;
+
+            collect(unmatchedBefore[i], unmatchedAfter[j]);
+            unmatchedBefore.splice(i, 1);
+            unmatchedAfter.splice(j, 1);
+        }
+    };
+
+    pairUp(sameValueZero, (removed, inserted) =>
+        diff.moved.push({value: inserted.value, from: removed.index, to: inserted.index}));
+    pairUp((a, b) => isPrimitive(a) && isPrimitive(b) && String(a) === String(b), (removed, inserted) =>
+        diff.typeChanged.push({before: removed.value, after: inserted.value, from: removed.index, to: inserted.index}));
+
+    diff.removed = unmatchedBefore;
+    diff.inserted = unmatchedAfter;
+    diff.moved.sort((a, b) => a.to - b.to);
+    diff.typeChanged.sort((a, b) => a.to - b.to);
+
+    return diff;
+}
+
+/**
+ * Logs the structural difference between two arrays, in order of the "after" array:
+ * unchanged elements in blue, inserted in green, moved in yellow, type changed elements with a
+ * green type, and removed elements in red at the end.
+ * Arrays differing in too many elements to compare are logged as a full dump of the "after" array instead.
+ * @param {Array} before - The array before the changes.
+ * @param {Array} after - The array after the changes.
+ * @param {string} [msg='Print array diff:'] - Custom message for the log.
+ * @returns {ArrayDiff|null} The logged difference, or null when the full array is logged.
+ */
+export function logDiff(before, after, msg) {
+    if (Array.isArray(before) && Array.isArray(after) && !isDiffable(before, after)) {
+        logArray(after, msg);
+        return null;
+    }
+
+    const diff = diffArrays(before, after);
+
+    performActionsWithMessage(msg || 'Print array diff:',
+        () => logWithTimestamp(formatDiff(diff).join(', ') || colors.Blue('#empty'), 'custom'));
+
+    return diff;
+}
+
+/**
+ * Formats an array difference with colorized changes.
+ * @param {ArrayDiff} diff - The difference to format.
+ * @returns {Array<string>} The formatted elements as strings.
+ */
+function formatDiff(diff) {
+    const formattedArray = [];
+
+    diff.unchanged.forEach(({value, to}) =>
+        formattedArray[to] = colors.Blue(`#${summarizeValue(value)} (type: ${typeof value})`));
+    diff.inserted.forEach(({value, index}) =>
+        formattedArray[index] = colors.Green(
+            `#${summarizeValue(value)} (type: ${typeof value}, inserted at: ${index})`));
+    diff.moved.forEach(({value, from, to}) =>
+        formattedArray[to] = colors.Yellow(
+            `#${summarizeValue(value)} (type: ${typeof value}, moved: ${from} -> ${to})`));
+    diff.typeChanged.forEach(({before, after, to}) =>
+        formattedArray[to] = colors.Blue(
+            `#${summarizeValue(after)} (${colors.Green(`type: ${typeof before} -> ${typeof after}`)})`));
+    diff.removed.forEach(({value, index}) =>
+        formattedArray.push(colors.Red(`#${summarizeValue(value)} (type: ${typeof value}, removed from: ${index})`)));
+
+    return formattedArray;
+}
+
+/**
+ * Maximal number of cells of the longest common subsequence table, about 40 MB; arrays whose changed
+ * middle parts need a larger table are not diffed.
+ * @type {number}
+ */
+const MAX_DIFF_TABLE_SIZE = 10_000_000;
+
+/**
+ * Checks if the difference between two arrays can be computed within {@link MAX_DIFF_TABLE_SIZE}.
+ * @param {Array} before - The array before the changes.
+ * @param {Array} after - The array after the changes.
+ * @returns {boolean} True if the arrays can be diffed; otherwise false.
+ */
+function isDiffable(before, after) {
+    const {start, beforeEnd, afterEnd} = findChangedRange(before, after);
+    return (beforeEnd - start) * (afterEnd - start) <= MAX_DIFF_TABLE_SIZE;
+}
+
+/**
+ * Finds the changed middle part of two arrays, between their common prefix and suffix.
+ * @param {Array} before - The first array.
+ * @param {Array} after - The second array.
+ * @returns {{start: number, beforeEnd: number, afterEnd: number}} Start index of the changed part, shared by
+ * both arrays, and its end index (exclusive) in each array.
+ */
+function findChangedRange(before, after) {
+    let start = 0;
+    let beforeEnd = before.length;
+    let afterEnd = after.length;
+
+    while (start < beforeEnd && start < afterEnd && sameValueZero(before[start], after[start])) start++;
+    while (beforeEnd > start && afterEnd > start && sameValueZero(before[beforeEnd - 1], after[afterEnd - 1])) {
+        beforeEnd--;
+        afterEnd--;
+    }
+
+    return {start, beforeEnd, afterEnd};
+}
+
+/**
+ * Finds the longest common subsequence of two arrays using dynamic programming.
+ * The common prefix and suffix are matched directly, so the quadratic table only covers the changed middle part.
+ * @param {Array} before - The first array.
+ * @param {Array} after - The second array.
+ * @returns {Array<Array<number>>} Pairs of matching indexes `[beforeIndex, afterIndex]`, in ascending order.
+ */
+function longestCommonSubsequence(before, after) {
+    const {start, beforeEnd, afterEnd} = findChangedRange(before, after);
+    const rows = beforeEnd - start;
+    const columns = afterEnd - start;
+    const lengths = new Uint32Array((rows + 1) * (columns + 1));
+    const at = (i, j) => i * (columns + 1) + j;
+
+    for (let i = rows - 1; i >= 0; i--) {
+        for (let j = columns - 1; j >= 0; j--) {
+            lengths[at(i, j)] = sameValueZero(before[start + i], after[start + j])
+                ? lengths[at(i + 1, j + 1)] + 1
+                : Math.max(lengths[at(i + 1, j)], lengths[at(i, j + 1)]);
+        }
+    }
+
+    const matches = Array.from({length: start}, (_, index) => [index, index]);
+
+    for (let i = 0, j = 0; i < rows && j < columns;) {
+        if (sameValueZero(before[start + i], after[start + j])) {
+            matches.push([start + i++, start + j++]);
+        } else if (lengths[at(i + 1, j)] >= lengths[at(i, j + 1)]) {
+            i++;
+        } else {
+            j++;
+        }
+    }
+
+    for (let offset = 0; beforeEnd + offset < before.length; offset++) {
+        matches.push([beforeEnd + offset, afterEnd + offset]);
+    }
+
+    return matches;
+}
+
+/**
+ * Checks if a value is a primitive, not an object or a function.
+ * @param {*} value - The value to check.
+ * @returns {boolean} True if the value is a primitive; otherwise false.
+ */
+function isPrimitive(value) {
+    return value === null || (typeof value !== 'object' && typeof value !== 'function');
+}
+
+/**
+ * Checks if two values are equal using the SameValueZero algorithm (like `Array.prototype.includes`).
+ * @param {*} a - First value.
+ * @param {*} b - Second value.
+ * @returns {boolean} True if the values are equal; otherwise false.
+ */
+function sameValueZero(a, b) {
+    return a === b || (a !== a && b !== b);
+}
+
+/**
+ * Equality functions of the named equality modes.
+ * @type {Readonly<Object<string, function(*, *): boolean>>}
+ */
+const EQUALITY_MODES = Object.freeze({
+    'strict': (a, b) => a === b,
+    'sameValueZero': sameValueZero,
+    'deep': (a, b) => deepEqual(a, b),
+});
+
+/**
+ * Creates an equality function from an equality mode and an optional key extractor.
+ * @param {string|Function} equality - Equality mode name or custom equality `(a, b) => boolean`.
+ * @param {string|Function} [by] - Property path or function extracting the value elements are compared by.
+ * @returns {function(*, *): boolean} The equality function.
+ */
+function createEqualityMatcher(equality, by) {
+    Validation.startsFor(equality)
+        .check(typeof equality === 'function' || Object.hasOwn(EQUALITY_MODES, equality),
+            'equality.mode')
+        .validate();
+
+    const equals = typeof equality === 'function' ? equality : EQUALITY_MODES[equality];
+    if (by === undefined) return equals;
+
+    const extract = createKeyExtractor(by, 'equality.key');
+    return (a, b) => equals(extract(a), extract(b));
+}
+
+/**
+ * Checks if two values are structurally equal. Arrays and plain objects are compared by their own enumerable
+ * properties, Dates by their time, Maps by their entries and Sets by their members; other values by SameValueZero.
+ * @param {*} a - First value.
+ * @param {*} b - Second value.
+ * @param {Map<Object, Set<Object>>} [visited] - Pairs of objects already being compared, to stop on cycles.
+ * @returns {boolean} True if the values are deeply equal; otherwise false.
+ */
+function deepEqual(a, b, visited = new Map()) {
+    if (sameValueZero(a, b)) return true;
+    if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false;
+    if (Object.getPrototypeOf(a) !== Object.getPrototypeOf(b)) return false;
+
+    if (visited.get(a)?.has(b)) return true;
+    if (!visited.has(a)) visited.set(a, new Set());
+
+    visited.get(a).add(b);
+    const result = deepEqualObjects(a, b, visited);
+    visited.get(a).delete(b);
+
+    return result;
+}
+
+/**
+ * Compares the contents of two objects of the same prototype for {@link deepEqual}.
+ * @param {Object} a - First object.
+ * @param {Object} b - Second object.
+ * @param {Map<Object, Set<Object>>} visited - Pairs of objects already being compared.
+ * @returns {boolean} True if the objects are deeply equal; otherwise false.
+ */
+function deepEqualObjects(a, b, visited) {
+    if (a instanceof Date) return sameValueZero(a.getTime(), b.getTime());
+
+    if (a instanceof Map) {
+        return a.size === b.size && [...a].every(([key, value]) => b.has(key) && deepEqual(value, b.get(key), visited));
+    }
+
+    if (a instanceof Set) {
+        if (a.size !== b.size) return false;
+        const unmatched = [...b];
+        return [...a].every((member) => {
+            const index = unmatched.findIndex(other => deepEqual(member, other, visited));
+            return index > -1 && unmatched.splice(index, 1).length > 0;
+        });
+    }
+
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length
+        && keys.every(key => Object.hasOwn(b, key) && deepEqual(a[key], b[key], visited));
+}
+
 /**
  * Converts an array to a string.
  * @param {Array} array - The array to convert.
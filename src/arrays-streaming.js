@@ -0,0 +1,394 @@
+/**
+ * @file Provides streaming counterparts of the array filters, conversions and statistics.
+ *
+ * Every function takes a sync or async iterable source (an array, a generator, a Node readable stream, ...)
+ * and processes it chunk by chunk, so large datasets pass through without being loaded into memory.
+ * Filters and conversions are async generators yielding the resulting elements one by one.
+ *
+ * @example
+ * import * as streaming from './arrays-streaming.js';
+ *
+ * const stats = await streaming.calculateStats(
+ *     streaming.filterPositiveNumbers(streaming.fromJsonLines(fs.createReadStream('values.jsonl'))));
+ *
+ * @module array-streaming
+ */
+
+"use strict";
+
+import {createInterface} from 'node:readline';
+import {Readable} from 'node:stream';
+import {Validation} from "./common/validation.js";
+import {getMessage} from "./common/messages.js";
+import * as arrays from "./arrays-operations.js";
+
+/**
+ * Default number of elements processed at once.
+ * @type {number}
+ */
+export const DEFAULT_CHUNK_SIZE = 1000;
+
+/**
+ * Options of the streaming functions.
+ * @typedef {Object} StreamOptions
+ * @property {number} [chunkSize=1000] - Number of elements processed at once.
+ */
+
+/* --------------------- Source Functions --------------------- */
+
+/**
+ * Parses a readable stream of JSON lines, yielding the value of every non-blank line.
+ * @param {import('node:stream').Readable|AsyncIterable<string|Buffer>} stream - The stream of JSON lines.
+ * @returns {AsyncGenerator<*>} The parsed values.
+ * @throws {Error} When iterated, if a line is not valid JSON.
+ */
+export function fromJsonLines(stream) {
+    Validation.startsFor(stream)
+        .check(stream !== null && stream !== undefined, 'stream.required')
+        .check(isIterable(stream), 'stream.notIterable')
+        .validate();
+
+    return parseJsonLines(stream);
+}
+
+/**
+ * Groups the elements of a source into arrays of a fixed size; the last chunk may be smaller.
+ * @param {Iterable|AsyncIterable} source - The source of elements.
+ * @param {number} [size=1000] - Number of elements in a chunk.
+ * @returns {AsyncGenerator<Array>} The chunks of elements.
+ */
+export function chunked(source, size = DEFAULT_CHUNK_SIZE) {
+    validateSource(source, size);
+    return readChunks(source, size);
+}
+
+/**
+ * Collects the elements of a source into an array.
+ * @param {Iterable|AsyncIterable} source - The source of elements.
+ * @returns {Promise<Array>} The elements of the source.
+ */
+export async function toArray(source) {
+    validateSource(source);
+
+    const array = [];
+    for await (const item of source) array.push(item);
+
+    return array;
+}
+
+/* --------------------- Filtering Functions --------------------- */
+
+/**
+ * Filters the elements of a source based on a condition.
+ * @param {Iterable|AsyncIterable} source - The source of elements.
+ * @param {Function} condition - A function to determine if an element should be included.
+ * @param {StreamOptions} [options] - Streaming options.
+ * @returns {AsyncGenerator<*>} The elements matching the condition.
+ */
+export function filterByCondition(source, condition, {chunkSize = DEFAULT_CHUNK_SIZE} = {}) {
+    validateSource(source, chunkSize);
+
+    Validation.startsFor(condition)
+        .checkNullOrEmpty('condition.required')
+        .checkFunction('argument.notFunction')
+        .validate();
+
+    return mapChunks(source, chunkSize, (chunk) => arrays.filterByCondition(chunk, condition));
+}
+
+/**
+ * Filters the number elements of a source.
+ * @param {Iterable|AsyncIterable} source - The source of elements.
+ * @param {StreamOptions} [options] - Streaming options.
+ * @returns {AsyncGenerator<number>} The number elements.
+ */
+export function filterNumbers(source, options = {}) {
+    return filterByCondition(source, (item) => typeof item === 'number', options);
+}
+
+/**
+ * Filters the number elements of a source greater than a threshold.
+ * @param {Iterable|AsyncIterable} source - The source of elements.
+ * @param {number} threshold - The threshold value.
+ * @param {StreamOptions} [options] - Streaming options.
+ * @returns {AsyncGenerator<number>} The numbers greater than the threshold.
+ */
+export function filterNumbersGreaterThan(source, threshold, options = {}) {
+    validateThreshold(threshold);
+    return filterByCondition(source, (item) => typeof item === 'number' && item > threshold, options);
+}
+
+/**
+ * Filters the number elements of a source smaller than a threshold.
+ * @param {Iterable|AsyncIterable} source - The source of elements.
+ * @param {number} threshold - The threshold value.
+ * @param {StreamOptions} [options] - Streaming options.
+ * @returns {AsyncGenerator<number>} The numbers smaller than the threshold.
+ */
+export function filterNumbersSmallerThan(source, threshold, options = {}) {
+    validateThreshold(threshold);
+    return filterByCondition(source, (item) => typeof item === 'number' && item < threshold, options);
+}
+
+/**
+ * Filters the positive number elements of a source.
+ * @param {Iterable|AsyncIterable} source - The source of elements.
+ * @param {StreamOptions} [options] - Streaming options.
+ * @returns {AsyncGenerator<number>} The positive numbers.
+ */
+export function filterPositiveNumbers(source, options = {}) {
+    return filterByCondition(source, (item) => typeof item === 'number' && item > 0, options);
+}
+
+/**
+ * Filters the negative number elements of a source.
+ * @param {Iterable|AsyncIterable} source - The source of elements.
+ * @param {StreamOptions} [options] - Streaming options.
+ * @returns {AsyncGenerator<number>} The negative numbers.
+ */
+export function filterNegativeNumbers(source, options = {}) {
+    return filterByCondition(source, (item) => typeof item === 'number' && item < 0, options);
+}
+
+/* --------------------- Conversion Functions --------------------- */
+
+/**
+ * Converts the elements of a source to string type.
+ * @param {Iterable|AsyncIterable} source - The source of elements.
+ * @param {StreamOptions} [options] - Streaming options.
+ * @returns {AsyncGenerator<string>} The elements converted to strings.
+ */
+export function convertToStrings(source, {chunkSize = DEFAULT_CHUNK_SIZE} = {}) {
+    validateSource(source, chunkSize);
+    return mapChunks(source, chunkSize, (chunk) => chunk.map(value => String(value)));
+}
+
+/* --------------------- Aggregation Functions --------------------- */
+
+/**
+ * Descriptive statistics computed in a single pass over a source.
+ * Order statistics (median, modes and percentiles) need every value at once and are only available
+ * from {@link module:array-utils.calculateStats}. Every statistic except `count`, `ignored` and `sum`
+ * is null while no numbers were read.
+ * @typedef {Object} RunningStatsResult
+ * @property {number} count - Number of numeric values.
+ * @property {number} ignored - Number of non-numeric values and non-finite numbers that were skipped.
+ * @property {number} sum - Sum of the numeric values.
+ * @property {number|null} min - Minimal value.
+ * @property {number|null} max - Maximal value.
+ * @property {number|null} range - Difference between the maximal and minimal value.
+ * @property {number|null} average - Arithmetic mean.
+ * @property {number|null} variance - Population variance.
+ * @property {number|null} sampleVariance - Sample variance, null for a single value.
+ * @property {number|null} standardDeviation - Population standard deviation.
+ * @property {number|null} sampleStandardDeviation - Sample standard deviation, null for a single value.
+ */
+
+/**
+ * Incremental statistics of numeric values, updated by Welford's online algorithm,
+ * which keeps the variance numerically stable without storing the values.
+ */
+export class RunningStats {
+    count = 0;
+    ignored = 0;
+    sum = 0;
+    min = Infinity;
+    max = -Infinity;
+    mean = 0;
+    squaredDeviations = 0;
+
+    /**
+     * Adds a value to the statistics; non-numeric values and non-finite numbers are counted as ignored.
+     * @param {*} value - The value to add.
+     * @returns {RunningStats} The current instance for chaining.
+     */
+    add(value) {
+        if (!Number.isFinite(value)) {
+            this.ignored++;
+            return this;
+        }
+
+        this.count++;
+        this.sum += value;
+        if (value < this.min) this.min = value;
+        if (value > this.max) this.max = value;
+
+        const delta = value - this.mean;
+        this.mean += delta / this.count;
+        this.squaredDeviations += delta * (value - this.mean);
+
+        return this;
+    }
+
+    /**
+     * Returns the statistics of the values added so far.
+     * @returns {RunningStatsResult} The statistics.
+     */
+    result() {
+        const {count, ignored, sum} = this;
+
+        if (count === 0) {
+            return {
+                count, ignored, sum, min: null, max: null, range: null, average: null,
+                variance: null, sampleVariance: null, standardDeviation: null, sampleStandardDeviation: null,
+            };
+        }
+
+        const variance = this.squaredDeviations / count;
+        const sampleVariance = count > 1 ? this.squaredDeviations / (count - 1) : null;
+
+        return {
+            count,
+            ignored,
+            sum,
+            min: this.min,
+            max: this.max,
+            range: this.max - this.min,
+            average: sum / count,
+            variance,
+            sampleVariance,
+            standardDeviation: Math.sqrt(variance),
+            sampleStandardDeviation: sampleVariance === null ? null : Math.sqrt(sampleVariance),
+        };
+    }
+}
+
+/**
+ * Computes statistics of the numeric elements of a source, yielding the statistics read so far after every chunk.
+ * @param {Iterable|AsyncIterable} source - The source of elements.
+ * @param {StreamOptions} [options] - Streaming options.
+ * @returns {AsyncGenerator<RunningStatsResult>} The statistics after every chunk.
+ */
+export function runningStats(source, {chunkSize = DEFAULT_CHUNK_SIZE} = {}) {
+    validateSource(source, chunkSize);
+    return readStats(source, chunkSize);
+}
+
+/**
+ * Computes statistics of the numeric elements of a source in a single pass.
+ * @param {Iterable|AsyncIterable} source - The source of elements.
+ * @param {StreamOptions} [options] - Streaming options.
+ * @returns {Promise<RunningStatsResult>} The statistics of the whole source.
+ */
+export async function calculateStats(source, options = {}) {
+    let stats = new RunningStats().result();
+    for await (const chunkStats of runningStats(source, options)) stats = chunkStats;
+
+    return stats;
+}
+
+/* --------------------- Utility Functions --------------------- */
+
+/**
+ * Checks if a value is a sync or async iterable.
+ * @param {*} value - The value to check.
+ * @returns {boolean} True if the value is iterable; otherwise false.
+ */
+function isIterable(value) {
+    return value != null && (typeof value[Symbol.asyncIterator] === 'function'
+        || typeof value[Symbol.iterator] === 'function');
+}
+
+/**
+ * Validates a source and the chunk size it is read by.
+ * @param {*} source - The source to validate.
+ * @param {number} [chunkSize] - The chunk size to validate.
+ * @throws {Error} If the source is not iterable or the chunk size is not a positive integer.
+ */
+function validateSource(source, chunkSize = DEFAULT_CHUNK_SIZE) {
+    Validation.startsFor(source)
+        .check(source !== null && source !== undefined, 'source.required')
+        .check(isIterable(source), 'source.notIterable')
+        .validate();
+
+    Validation.startsFor(chunkSize)
+        .checkFinite('chunkSize.invalid')
+        .check(Number.isInteger(chunkSize) && chunkSize > 0, 'chunkSize.positive')
+        .validate();
+}
+
+/**
+ * Validates the threshold of a number filter.
+ * @param {number} threshold - The threshold to validate.
+ * @throws {Error} If the threshold is missing or not a number.
+ */
+function validateThreshold(threshold) {
+    Validation.startsFor(threshold)
+        .checkNullOrEmpty('number.required')
+        .checkFinite('number.invalid')
+        .validate();
+}
+
+/**
+ * Reads a source in chunks.
+ * @param {Iterable|AsyncIterable} source - The source of elements.
+ * @param {number} size - Number of elements in a chunk.
+ * @returns {AsyncGenerator<Array>} The chunks of elements.
+ */
+async function* readChunks(source, size) {
+    let chunk = [];
+
+    for await (const item of source) {
+        chunk.push(item);
+
+        if (chunk.length === size) {
+            yield chunk;
+            chunk = [];
+        }
+    }
+
+    if (chunk.length > 0) yield chunk;
+}
+
+/**
+ * Applies an array operation to every chunk of a source, yielding the resulting elements one by one.
+ * @param {Iterable|AsyncIterable} source - The source of elements.
+ * @param {number} chunkSize - Number of elements in a chunk.
+ * @param {function(Array): Array} operation - The operation applied to every chunk.
+ * @returns {AsyncGenerator<*>} The elements resulting from the operation.
+ */
+async function* mapChunks(source, chunkSize, operation) {
+    for await (const chunk of readChunks(source, chunkSize)) {
+        yield* operation(chunk);
+    }
+}
+
+/**
+ * Accumulates the statistics of a source chunk by chunk.
+ * @param {Iterable|AsyncIterable} source - The source of elements.
+ * @param {number} chunkSize - Number of elements in a chunk.
+ * @returns {AsyncGenerator<RunningStatsResult>} The statistics after every chunk.
+ */
+async function* readStats(source, chunkSize) {
+    const stats = new RunningStats();
+
+    for await (const chunk of readChunks(source, chunkSize)) {
+        chunk.forEach(item => stats.add(item));
+        yield stats.result();
+    }
+}
+
+/**
+ * Parses the lines of a stream as JSON.
+ * @param {import('node:stream').Readable|AsyncIterable<string|Buffer>} stream - The stream of JSON lines.
+ * @returns {AsyncGenerator<*>} The parsed values.
+ */
+async function* parseJsonLines(stream) {
+    const input = typeof stream.on === 'function' ? stream : Readable.from(stream);
+    const lines = createInterface({input, crlfDelay: Infinity});
+    let lineNumber = 0;
+
+    for await (const line of lines) {
+        lineNumber++;
+        if (line.trim() === '') continue;
+
+        let value;
+        try {
+            value = JSON.parse(line);
+        } catch (error) {
+            throw new Error(getMessage('jsonLines.invalid', {line: lineNumber, reason: error.message}));
+        }
+
+        yield value;
+    }
+}
@@ -0,0 +1,155 @@
+/**
+ * @file English validation messages, the fallback of every other locale.
+ * @module locales/en
+ */
+
+"use strict";
+
+/**
+ * English messages keyed by message key.
+ * @type {Readonly<Object<string, string>>}
+ */
+export const EN_MESSAGES = Object.freeze({
+    // Validation checks
+    'validation.failed': '{count} validation checks failed:',
+    'validation.nullOrEmpty': 'Value is null, undefined, or empty.',
+    'validation.number': 'Provided value is not a valid number.',
+    'validation.string': 'Provided value is not a valid string.',
+    'validation.array': 'Provided value is not a valid array.',
+    'validation.function': 'Provided value is not a valid function.',
+    'validation.positiveNumber': 'Provided value is not a positive number.',
+    'validation.nonNegative': 'Provided value [{value}] is not a non-negative number.',
+    'validation.integer': 'Provided value [{value}] is not an integer.',
+    'validation.finite': 'Provided value [{value}] is not a finite number.',
+    'validation.range': 'Provided value [{value}] is not within range [{min}, {max}].',
+    'validation.oneOf': 'Provided value [{value}] must be one of: {values}.',
+    'validation.matches': 'Provided value [{value}] does not match {pattern}.',
+    'validation.length': 'Provided value [{value}] must have length within [{min}, {max}].',
+    'validation.instanceOf': 'Provided value [{value}] is not an instance of {type}.',
+    'validation.date': 'Provided value [{value}] is not a valid date.',
+    'validation.arrayOf': 'Provided array contains invalid element [{element}] at index {index}.',
+    'validation.arrayOf.array': 'Provided value [{value}] is not a valid array.',
+    'validation.arrayOf.typeCheck': 'Type check [{typeCheck}] is neither a check name nor a predicate.',
+    'validation.not': 'Provided value [{value}] must not pass {check}.',
+    'validation.custom': 'Provided value [{value}] does not pass {check}.',
+    'validation.object': 'Provided value is not a valid object.',
+    'validation.required': 'Field [{field}] is required.',
+    'validation.pending': 'Validation has pending asynchronous checks, use validateAsync().',
+    'validation.not.dangling': 'Validation ends with not() without a check to negate.',
+
+    // Message catalog
+    'messages.locale': 'Locale must be a non-empty string.',
+    'messages.invalid': 'Messages must be an object of strings keyed by message key.',
+
+    // Custom checks and schemas
+    'check.name': "Check name [{name}] must be a word or dot separated words, e.g. 'billing.iban'.",
+    'check.predicate': 'Check predicate must be a function.',
+    'check.defaultMessage': 'Default message must be a string or a function.',
+    'check.arity': 'Check arity must be a non-negative integer.',
+    'check.defined': 'Check [{check}] is already defined.',
+    'check.collision': 'Check [{check}] collides with the field rule method [{method}].',
+    'check.notRegistered': 'Check [{name}] is not registered.',
+    'schema.shape': 'Schema shape must be an object of rules keyed by field name.',
+    'schema.rule': 'Schema rule of [{field}] must be a function returning a field rule, a field rule '
+        + 'or a nested schema.',
+    'schema.pending': 'Schema field [{field}] has asynchronous checks, which schemas do not support.',
+
+    // Array operations arguments
+    'array.invalid': 'Provided array is invalid.',
+    'array.empty': 'Array is empty.',
+    'array.nullOrEmpty': 'Provided array is null or empty.',
+    'values.nullOrEmpty': 'Provided values is null or empty.',
+    'count.required': 'Count is required.',
+    'count.invalid': 'Provided count invalid.',
+    'count.positive': 'Provided count must be positive.',
+    'count.integer': 'Provided count must be an integer.',
+    'number.required': 'Number is required.',
+    'number.invalid': 'Provided number is invalid.',
+    'length.required': 'Length is required.',
+    'length.invalid': 'Provided length is invalid.',
+    'length.positive': 'Provided length must be positive.',
+    'size.required': 'Size is required.',
+    'size.invalid': 'Provided size is invalid.',
+    'size.positive': 'Provided size must be positive.',
+    'size.integer': 'Provided size must be an integer.',
+    'step.invalid': 'Provided step is invalid.',
+    'step.positive': 'Provided step must be positive.',
+    'step.integer': 'Provided step must be an integer.',
+    'condition.required': 'Condition is required.',
+    'argument.notFunction': 'Provided argument is not a function.',
+    'keyFunction.required': 'Key function is required.',
+    'keyFunction.notFunction': 'Provided key function is not a function.',
+    'predicate.required': 'Predicate is required.',
+    'predicate.notFunction': 'Provided predicate is not a function.',
+    'sort.order': "Order must be 'asc' or 'desc'.",
+    'position.invalid': "Invalid position specified. Use 'start', 'end', 'middle', an index, "
+        + "{before: value} or {after: value}.",
+
+    // Array operations options
+    'array.notArray': 'Array is invalid.',
+    'otherArray.invalid': 'Provided other array is invalid.',
+    'count.notFinite': 'Count is invalid.',
+    'count.notPositive': 'Count must be positive.',
+    'element.required': 'Element is required.',
+    'typedArray.values': 'Values of {arrayType} must be of type {type}.',
+    'position.outOfRange': 'Position index [{index}] is out of range.',
+    'position.notFound': 'Reference value [{reference}] is not found in the array.',
+    'flatten.depth': 'Depth must be a non-negative integer or Infinity.',
+    'flatten.mapper': 'Provided mapper is not a function.',
+    'flatten.circular': 'Provided values contain a circular reference.',
+    'shape.invalid': 'Provided shape is invalid.',
+    'shape.size': 'Values count ({count}) does not match the shape size ({size}).',
+    'conversion.parsing': "Parsing must be 'strict' or 'lenient'.",
+    'conversion.schema.required': 'Conversion schema is required.',
+    'conversion.schema.invalid': 'Conversion schema must be a type name ({types}), a function or an object of them.',
+    'conversion.records': 'Elements must be records when converting by an object schema.',
+    'conversion.policy': 'Invalid value policy must be one of: {policies}.',
+    'conversion.failed': 'Value [{element}] cannot be converted to {type}.',
+    'conversion.failed.target': 'Value [{element}] cannot be converted to the target type.',
+    'conversion.failed.index': '{reason} (index: {index})',
+    'conversion.error': '{reason}',
+    'sort.algorithm': 'Invalid algorithm specified. Use one of: {algorithms}.',
+    'sort.unknownOptions': 'Unknown sort options: {options}.',
+    'sort.nulls': "Nulls placement must be 'first' or 'last'.",
+    'sort.keys': 'Sort keys must be a non-empty array.',
+    'sort.key': 'Sort key must be a property path or a function.',
+    'sort.comparator': 'Provided comparator is not a function.',
+    'sort.instrument': 'Instrumentation must be a boolean or an object of instrumentation options.',
+    'sort.trace': 'Provided trace is invalid.',
+    'sort.unsorted': 'Provided array is not sorted in {order} order: element [{element}] at index {index} '
+        + 'is placed after [{previous}].',
+    'query.subQuery': 'Provided sub-query is not a valid query.',
+    'histogram.widthOrBins': "Provide either 'width' or 'bins'.",
+    'histogram.width': 'Bin width must be a positive number.',
+    'histogram.bins': 'Bins must be an ascending array of at least two numbers.',
+    'histogram.tooManyBins': 'Bin width [{width}] produces {count} bins, more than the maximum of {max}.',
+    'paths.invalid': 'Provided paths are invalid.',
+    'paths.empty': 'Paths are empty.',
+    'paths.nonEmpty': 'Every path must be a non-empty string.',
+    'paths.unsafe': 'Paths must not contain the {segments} segments.',
+    'path.invalid': 'Property path must be a non-empty string or a function.',
+    'criteria.invalid': 'Criteria must be an object of values or predicates keyed by property path.',
+    'criteria.empty': 'Criteria are empty.',
+    'records.notObject': 'Array must contain only objects: element [{element}] at index {index} is not an object.',
+    'set.equals': 'Provided equality is not a function.',
+    'set.key': 'Set key must be a property path or a function.',
+    'set.mode': "Mode must be 'strict' or 'loose'.",
+    'duplicates.keep': "Keep must be 'first' or 'last'.",
+    'duplicates.key': 'Duplicate key must be a property path or a function.',
+    'equality.mode': "Equality must be 'strict', 'sameValueZero', 'deep' or a function.",
+    'equality.key': 'Equality key must be a property path or a function.',
+    'percentiles.invalid': 'Percentiles must be an array.',
+    'percentiles.range': 'Percentiles must be numbers between 0 and 100.',
+    'diff.before': 'Provided before array is invalid.',
+    'diff.after': 'Provided after array is invalid.',
+    'diff.tooLarge': 'Arrays differ in too many elements to compute their diff.',
+
+    // Streaming arguments
+    'stream.required': 'Stream is required.',
+    'stream.notIterable': 'Provided stream is not iterable.',
+    'source.required': 'Source is required.',
+    'source.notIterable': 'Provided source is not iterable.',
+    'chunkSize.invalid': 'Provided chunk size is invalid.',
+    'chunkSize.positive': 'Provided chunk size must be a positive integer.',
+    'jsonLines.invalid': 'Invalid JSON at line {line}: {reason}',
+});
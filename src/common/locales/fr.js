@@ -0,0 +1,161 @@
+/**
+ * @file French validation messages.
+ * @module locales/fr
+ */
+
+"use strict";
+
+/**
+ * French messages keyed by message key.
+ * @type {Readonly<Object<string, string>>}
+ */
+export const FR_MESSAGES = Object.freeze({
+    // Validation checks
+    'validation.failed': '{count} vérifications de validation ont échoué :',
+    'validation.nullOrEmpty': 'La valeur est null, undefined ou vide.',
+    'validation.number': "La valeur fournie n'est pas un nombre valide.",
+    'validation.string': "La valeur fournie n'est pas une chaîne valide.",
+    'validation.array': "La valeur fournie n'est pas un tableau valide.",
+    'validation.function': "La valeur fournie n'est pas une fonction valide.",
+    'validation.positiveNumber': "La valeur fournie n'est pas un nombre positif.",
+    'validation.nonNegative': "La valeur fournie [{value}] n'est pas un nombre positif ou nul.",
+    'validation.integer': "La valeur fournie [{value}] n'est pas un entier.",
+    'validation.finite': "La valeur fournie [{value}] n'est pas un nombre fini.",
+    'validation.range': "La valeur fournie [{value}] n'est pas comprise dans l'intervalle [{min}, {max}].",
+    'validation.oneOf': 'La valeur fournie [{value}] doit être parmi : {values}.',
+    'validation.matches': 'La valeur fournie [{value}] ne correspond pas à {pattern}.',
+    'validation.length': 'La valeur fournie [{value}] doit avoir une longueur comprise dans [{min}, {max}].',
+    'validation.instanceOf': "La valeur fournie [{value}] n'est pas une instance de {type}.",
+    'validation.date': "La valeur fournie [{value}] n'est pas une date valide.",
+    'validation.arrayOf': "Le tableau fourni contient l'élément invalide [{element}] à l'indice {index}.",
+    'validation.arrayOf.array': "La valeur fournie [{value}] n'est pas un tableau valide.",
+    'validation.arrayOf.typeCheck': "Le type de vérification [{typeCheck}] n'est ni un nom de vérification "
+        + 'ni un prédicat.',
+    'validation.not': 'La valeur fournie [{value}] ne doit pas satisfaire {check}.',
+    'validation.custom': 'La valeur fournie [{value}] ne satisfait pas {check}.',
+    'validation.object': "La valeur fournie n'est pas un objet valide.",
+    'validation.required': 'Le champ [{field}] est obligatoire.',
+    'validation.pending': 'La validation a des vérifications asynchrones en attente, utilisez validateAsync().',
+    'validation.not.dangling': 'La validation se termine par not() sans vérification à inverser.',
+
+    // Message catalog
+    'messages.locale': 'La locale doit être une chaîne non vide.',
+    'messages.invalid': 'Les messages doivent être un objet de chaînes indexées par clé de message.',
+
+    // Custom checks and schemas
+    'check.name': 'Le nom de vérification [{name}] doit être un mot ou des mots séparés par des points, '
+        + "p. ex. 'billing.iban'.",
+    'check.predicate': 'Le prédicat de vérification doit être une fonction.',
+    'check.defaultMessage': 'Le message par défaut doit être une chaîne ou une fonction.',
+    'check.arity': "L'arité de la vérification doit être un entier positif ou nul.",
+    'check.defined': 'La vérification [{check}] est déjà définie.',
+    'check.collision': 'La vérification [{check}] entre en conflit avec la méthode de règle de champ [{method}].',
+    'check.notRegistered': "La vérification [{name}] n'est pas enregistrée.",
+    'schema.shape': 'La forme du schéma doit être un objet de règles indexées par nom de champ.',
+    'schema.rule': 'La règle de schéma de [{field}] doit être une fonction renvoyant une règle de champ, '
+        + 'une règle de champ ou un schéma imbriqué.',
+    'schema.pending': 'Le champ de schéma [{field}] a des vérifications asynchrones, '
+        + 'que les schémas ne prennent pas en charge.',
+
+    // Array operations arguments
+    'array.invalid': 'Le tableau fourni est invalide.',
+    'array.empty': 'Le tableau est vide.',
+    'array.nullOrEmpty': 'Le tableau fourni est null ou vide.',
+    'values.nullOrEmpty': 'Les valeurs fournies sont null ou vides.',
+    'count.required': 'Le nombre est obligatoire.',
+    'count.invalid': 'Le nombre fourni est invalide.',
+    'count.positive': 'Le nombre fourni doit être positif.',
+    'count.integer': 'Le nombre fourni doit être un entier.',
+    'number.required': 'Le nombre est obligatoire.',
+    'number.invalid': 'Le nombre fourni est invalide.',
+    'length.required': 'La longueur est obligatoire.',
+    'length.invalid': 'La longueur fournie est invalide.',
+    'length.positive': 'La longueur fournie doit être positive.',
+    'size.required': 'La taille est obligatoire.',
+    'size.invalid': 'La taille fournie est invalide.',
+    'size.positive': 'La taille fournie doit être positive.',
+    'size.integer': 'La taille fournie doit être un entier.',
+    'step.invalid': 'Le pas fourni est invalide.',
+    'step.positive': 'Le pas fourni doit être positif.',
+    'step.integer': 'Le pas fourni doit être un entier.',
+    'condition.required': 'La condition est obligatoire.',
+    'argument.notFunction': "L'argument fourni n'est pas une fonction.",
+    'keyFunction.required': 'La fonction de clé est obligatoire.',
+    'keyFunction.notFunction': "La fonction de clé fournie n'est pas une fonction.",
+    'predicate.required': 'Le prédicat est obligatoire.',
+    'predicate.notFunction': "Le prédicat fourni n'est pas une fonction.",
+    'sort.order': "L'ordre doit être 'asc' ou 'desc'.",
+    'position.invalid': "Position invalide. Utilisez 'start', 'end', 'middle', un indice, "
+        + "{before: value} ou {after: value}.",
+
+    // Array operations options
+    'array.notArray': 'Le tableau est invalide.',
+    'otherArray.invalid': "L'autre tableau fourni est invalide.",
+    'count.notFinite': 'Le nombre est invalide.',
+    'count.notPositive': 'Le nombre doit être positif.',
+    'element.required': "L'élément est obligatoire.",
+    'typedArray.values': 'Les valeurs de {arrayType} doivent être de type {type}.',
+    'position.outOfRange': "L'indice de position [{index}] est hors limites.",
+    'position.notFound': "La valeur de référence [{reference}] est introuvable dans le tableau.",
+    'flatten.depth': 'La profondeur doit être un entier positif ou nul, ou Infinity.',
+    'flatten.mapper': "La fonction de transformation fournie n'est pas une fonction.",
+    'flatten.circular': 'Les valeurs fournies contiennent une référence circulaire.',
+    'shape.invalid': 'La forme fournie est invalide.',
+    'shape.size': 'Le nombre de valeurs ({count}) ne correspond pas à la taille de la forme ({size}).',
+    'conversion.parsing': "L'analyse doit être 'strict' ou 'lenient'.",
+    'conversion.schema.required': 'Le schéma de conversion est obligatoire.',
+    'conversion.schema.invalid': 'Le schéma de conversion doit être un nom de type ({types}), une fonction '
+        + 'ou un objet de ceux-ci.',
+    'conversion.records': 'Les éléments doivent être des enregistrements pour une conversion par un schéma objet.',
+    'conversion.policy': 'La politique des valeurs invalides doit être parmi : {policies}.',
+    'conversion.failed': 'La valeur [{element}] ne peut pas être convertie en {type}.',
+    'conversion.failed.target': 'La valeur [{element}] ne peut pas être convertie dans le type cible.',
+    'conversion.failed.index': '{reason} (indice : {index})',
+    'conversion.error': '{reason}',
+    'sort.algorithm': 'Algorithme invalide. Utilisez parmi : {algorithms}.',
+    'sort.unknownOptions': 'Options de tri inconnues : {options}.',
+    'sort.nulls': "Le placement des valeurs nulles doit être 'first' ou 'last'.",
+    'sort.keys': 'Les clés de tri doivent être un tableau non vide.',
+    'sort.key': 'La clé de tri doit être un chemin de propriété ou une fonction.',
+    'sort.comparator': "Le comparateur fourni n'est pas une fonction.",
+    'sort.instrument': "L'instrumentation doit être un booléen ou un objet d'options d'instrumentation.",
+    'sort.trace': 'La trace fournie est invalide.',
+    'sort.unsorted': "Le tableau fourni n'est pas trié dans l'ordre {order} : l'élément [{element}] "
+        + "à l'indice {index} est placé après [{previous}].",
+    'query.subQuery': "La sous-requête fournie n'est pas une requête valide.",
+    'histogram.widthOrBins': "Fournissez soit 'width', soit 'bins'.",
+    'histogram.width': 'La largeur des classes doit être un nombre positif.',
+    'histogram.bins': 'Les classes doivent être un tableau croissant d\'au moins deux nombres.',
+    'histogram.tooManyBins': 'La largeur de classe [{width}] produit {count} classes, plus que le maximum de {max}.',
+    'paths.invalid': 'Les chemins fournis sont invalides.',
+    'paths.empty': 'Les chemins sont vides.',
+    'paths.nonEmpty': 'Chaque chemin doit être une chaîne non vide.',
+    'paths.unsafe': 'Les chemins ne doivent pas contenir les segments {segments}.',
+    'path.invalid': 'Le chemin de propriété doit être une chaîne non vide ou une fonction.',
+    'criteria.invalid': 'Les critères doivent être un objet de valeurs ou de prédicats indexés '
+        + 'par chemin de propriété.',
+    'criteria.empty': 'Les critères sont vides.',
+    'records.notObject': "Le tableau ne doit contenir que des objets : l'élément [{element}] à l'indice {index} "
+        + "n'est pas un objet.",
+    'set.equals': "L'égalité fournie n'est pas une fonction.",
+    'set.key': "La clé d'ensemble doit être un chemin de propriété ou une fonction.",
+    'set.mode': "Le mode doit être 'strict' ou 'loose'.",
+    'duplicates.keep': "Keep doit être 'first' ou 'last'.",
+    'duplicates.key': 'La clé de doublon doit être un chemin de propriété ou une fonction.',
+    'equality.mode': "L'égalité doit être 'strict', 'sameValueZero', 'deep' ou une fonction.",
+    'equality.key': "La clé d'égalité doit être un chemin de propriété ou une fonction.",
+    'percentiles.invalid': 'Les percentiles doivent être un tableau.',
+    'percentiles.range': 'Les percentiles doivent être des nombres entre 0 et 100.',
+    'diff.before': 'Le tableau avant fourni est invalide.',
+    'diff.after': 'Le tableau après fourni est invalide.',
+    'diff.tooLarge': 'Les tableaux diffèrent de trop d\'éléments pour calculer leur différence.',
+
+    // Streaming arguments
+    'stream.required': 'Le flux est obligatoire.',
+    'stream.notIterable': "Le flux fourni n'est pas itérable.",
+    'source.required': 'La source est obligatoire.',
+    'source.notIterable': "La source fournie n'est pas itérable.",
+    'chunkSize.invalid': 'La taille de bloc fournie est invalide.',
+    'chunkSize.positive': 'La taille de bloc fournie doit être un entier positif.',
+    'jsonLines.invalid': 'JSON invalide à la ligne {line} : {reason}',
+});
@@ -0,0 +1,135 @@
+/**
+ * @file Message catalog of the validation messages.
+ *
+ * Messages are looked up by key in the catalog of the locale selected by the `VALIDATION_LOCALE` setting,
+ * falling back to the English catalog, and their `{name}` placeholders are replaced by the provided parameters.
+ *
+ * Functions:
+ * - `getMessage`: Resolves a message by key in the selected locale and interpolates its parameters.
+ * - `interpolate`: Replaces the placeholders of a message template by parameters.
+ * - `hasMessage`: Checks whether a message key is present in the catalog.
+ * - `registerMessages`: Adds or overrides the messages of a locale.
+ * - `getLocales`: Lists the locales having a message catalog.
+ * - `formatValue`: Formats a value for the messages.
+ *
+ * @module messages
+ */
+
+"use strict";
+
+import {VALIDATION_CONFIG} from "../../config/validation-config.js";
+import {EN_MESSAGES} from "./locales/en.js";
+import {FR_MESSAGES} from "./locales/fr.js";
+
+/**
+ * Locale used when the selected locale has no message for a key.
+ * @type {string}
+ */
+export const DEFAULT_LOCALE = 'en';
+
+/**
+ * Message catalogs keyed by locale.
+ * @type {Map<string, Object<string, string>>}
+ */
+const CATALOGS = new Map([
+    ['en', {...EN_MESSAGES}],
+    ['fr', {...FR_MESSAGES}],
+]);
+
+/**
+ * Maximum number of array items listed by {@link formatValue}.
+ * @type {number}
+ */
+const FORMATTED_ITEMS_LIMIT = 10;
+
+/**
+ * Resolves a message by key in the locale selected by the `VALIDATION_LOCALE` setting, falling back to English.
+ * Placeholders `{name}` are replaced by the parameter of the same name: `{value}` is formatted by
+ * {@link formatValue}, other strings are inserted as they are. Placeholders without parameters are kept.
+ *
+ * @example
+ * getMessage('validation.range', {value: 12, min: 0, max: 10}); // 'Provided value [12] is not within range [0, 10].'
+ * @param {string} key - The message key, e.g. 'array.invalid'.
+ * @param {Object<string, *>} [params={}] - The values of the placeholders.
+ * @returns {string} The message, or the key itself when no catalog has a message for it.
+ */
+export function getMessage(key, params = {}) {
+    const template = CATALOGS.get(VALIDATION_CONFIG.VALIDATION_LOCALE)?.[key]
+        ?? CATALOGS.get(DEFAULT_LOCALE)[key] ?? key;
+    return interpolate(template, params);
+}
+
+/**
+ * Replaces the `{name}` placeholders of a message template by the parameters of the same name,
+ * see {@link getMessage}.
+ *
+ * @param {string} template - The message template.
+ * @param {Object<string, *>} params - The values of the placeholders.
+ * @returns {string} The message.
+ */
+export function interpolate(template, params) {
+    return template.replace(/\{(\w+)}/g, (placeholder, name) => {
+        if (!Object.hasOwn(params, name)) return placeholder;
+        return name !== 'value' && typeof params[name] === 'string' ? params[name] : formatValue(params[name]);
+    });
+}
+
+/**
+ * Checks whether a message key is present in the English catalog.
+ *
+ * @param {string} key - The message key.
+ * @returns {boolean} True if the key has a message; otherwise false.
+ */
+export function hasMessage(key) {
+    return Object.hasOwn(CATALOGS.get(DEFAULT_LOCALE), key);
+}
+
+/**
+ * Adds or overrides messages of a locale, e.g. to change the wording for a project or to add a new locale.
+ * Keys missing in a new locale fall back to English.
+ *
+ * @param {string} locale - The locale, e.g. 'de'.
+ * @param {Object<string, string>} messages - The messages keyed by message key.
+ * @throws {Error} If the locale or the messages are invalid.
+ */
+export function registerMessages(locale, messages) {
+    if (typeof locale !== 'string' || locale.trim().length === 0) {
+        throw new Error(getMessage('messages.locale'));
+    }
+    if (messages === null || typeof messages !== 'object'
+        || !Object.values(messages).every(message => typeof message === 'string')) {
+        throw new Error(getMessage('messages.invalid'));
+    }
+
+    CATALOGS.set(locale, {...CATALOGS.get(locale), ...messages});
+}
+
+/**
+ * Lists the locales having a message catalog.
+ *
+ * @returns {Array<string>} The locales.
+ */
+export function getLocales() {
+    return [...CATALOGS.keys()];
+}
+
+/**
+ * Formats a value for the messages: strings are quoted and long arrays are shortened.
+ *
+ * @param {*} value - The value to format.
+ * @returns {string} The string form of the value.
+ */
+export function formatValue(value) {
+    if (typeof value === 'string') return `'${value}'`;
+    if (Array.isArray(value)) {
+        const items = value.slice(0, FORMATTED_ITEMS_LIMIT)
+            .map(item => Array.isArray(item) ? 'Array' : formatValue(item));
+        return `[${items.join(', ')}${value.length > FORMATTED_ITEMS_LIMIT ? ', ...' : ''}]`;
+    }
+
+    try {
+        return String(value);
+    } catch {
+        return Object.prototype.toString.call(value);
+    }
+}
@@ -1,59 +1,318 @@
+import {formatValue, getMessage, hasMessage, interpolate} from "./messages.js";
+
+/**
+ * Failed validation check.
+ * @typedef {Object} ValidationFailure
+ * @property {string} message - The error message of the check.
+ * @property {string} check - The name of the failed check, e.g. 'checkNumber'.
+ * @property {*} value - The offending value.
+ * @property {string} [path] - The field path of the value, e.g. 'items[3].name'.
+ */
+
+/**
+ * Error thrown by a failed validation, carrying every failed check.
+ * With a single failure, the message is the message of the failed check.
+ */
+export class ValidationError extends Error {
+    /**
+     * @param {Array<ValidationFailure>} failures - The failed checks, at least one.
+     */
+    constructor(failures) {
+        super(failures.length === 1
+            ? failures[0].message
+            : `${getMessage('validation.failed', {count: failures.length})}\n${failures.map(failure =>
+                ` - ${failure.path ? `${failure.path}: ` : ''}${failure.message}`).join('\n')}`);
+        this.name = 'ValidationError';
+        this.failures = failures;
+    }
+
+    /**
+     * The name of the first failed check.
+     * @returns {string} The check name.
+     */
+    get check() {
+        return this.failures[0].check;
+    }
+
+    /**
+     * The offending value of the first failed check.
+     * @returns {*} The value.
+     */
+    get value() {
+        return this.failures[0].value;
+    }
+
+    /**
+     * The field path of the first failed check.
+     * @returns {string|undefined} The field path.
+     */
+    get path() {
+        return this.failures[0].path;
+    }
+}
+
 /**
  * ValidationCenter - Centralized validation and error handling system.
  * Provides reusable validation methods and fluent interface for chaining validations.
  */
 export class Validation {
-    constructor(value) {
+    /**
+     * @param {*} [value] - The value to validate.
+     * @param {string} [path] - The field path of the value, reported with the failures.
+     */
+    constructor(value, path) {
         this.value = value;
+        this.path = path;
         this.errors = [];
+        this.failures = [];
+        this.collecting = false;
+        this.negation = null;
+        this.pending = [];
     }
 
     /**
      * Static method to create an instance and initialize the value to be validated.
      *
      * @param {*} [value] - The value to validate.
+     * @param {string} [path] - The field path of the value, reported with the failures.
      * @returns {Validation} An instance of ValidationCenter.
      */
-    static startsFor(value) {
-        return new Validation(value);
+    static startsFor(value, path) {
+        return new Validation(value, path);
+    }
+
+    /**
+     * Static method to create a declarative schema validating objects field by field.
+     *
+     * @example
+     * const schema = Validation.schema({
+     *     count: v => v.number().positive(),
+     *     position: v => v.oneOf(['start', 'end']).default('start'),
+     *     items: v => v.array().items({name: v => v.string()}),
+     * });
+     * const {count, position} = schema.validate(options);
+     * @param {Object<string, SchemaRule>} shape - Rules keyed by field name.
+     * @returns {ValidationSchema} The schema.
+     */
+    static schema(shape) {
+        return new ValidationSchema(shape);
+    }
+
+    /**
+     * Registers a custom check, available as `check<Name>(...params, message)` on every validation chain
+     * and as `<name>(...params, message)` on every schema field rule.
+     * The parameters of the check are the parameters of the predicate following the value; predicates with
+     * default or rest parameters must declare their number as `arity`, which `predicate.length` does not count.
+     * A predicate returning a promise makes the check asynchronous, see {@link validateAsync}.
+     * Dot separated names namespace the checks of a plugin: 'billing.iban' is registered as `checkBillingIban`.
+     *
+     * @example
+     * Validation.register('divisibleBy', (value, divisor) => value % divisor === 0,
+     *     'Provided value [{value}] is not divisible by {0}.');
+     * Validation.startsFor(10).checkDivisibleBy(5).validate();
+     * @param {string} name - The check name, optionally prefixed by dot separated namespaces.
+     * @param {function(*, ...*): (boolean|Promise<boolean>)} predicate - Predicate `(value, ...params)`
+     * the value must satisfy.
+     * @param {string|function(*, ...*): string} [defaultMessage] - The default error message or message key,
+     * where `{value}` and `{0}`, `{1}`... are replaced by the value and the parameters,
+     * or a function `(value, ...params)` building it.
+     * @param {Object} [options] - Registration options.
+     * @param {number} [options.arity] - Number of check parameters preceding the message,
+     * the number of predicate parameters following the value by default.
+     * @returns {string} The name of the registered check method.
+     * @throws {ValidationError} If the arguments are invalid or a check or field rule method with the same name
+     * already exists.
+     */
+    static register(name, predicate, defaultMessage, {arity = Math.max(predicate?.length - 1, 0)} = {}) {
+        Validation.startsFor(name)
+            .checkMatches(CHECK_NAME_PATTERN,
+                () => getMessage('check.name', {name: formatValue(name)}))
+            .validate();
+
+        Validation.startsFor(predicate)
+            .checkFunction('check.predicate')
+            .validate();
+
+        Validation.startsFor(defaultMessage)
+            .check(defaultMessage === undefined || ['string', 'function'].includes(typeof defaultMessage),
+                'check.defaultMessage')
+            .validate();
+
+        Validation.startsFor(arity)
+            .checkInteger('check.arity')
+            .checkNonNegative('check.arity')
+            .validate();
+
+        const method = toCheckMethodName(name);
+
+        Validation.startsFor(method)
+            .check(!(method in Validation.prototype), () => getMessage('check.defined', {check: method}))
+            .check(!(toFieldRuleMethodName(method) in FieldRule.prototype),
+                () => getMessage('check.collision', {check: method, method: toFieldRuleMethodName(method)}))
+            .validate();
+
+        Object.defineProperty(Validation.prototype, method, {
+            value(...args) {
+                const params = args.slice(0, arity);
+                const message = args[arity] ?? (() => buildDefaultMessage(defaultMessage, method, this.value, params));
+
+                return this.check(predicate(this.value, ...params), message, method);
+            },
+            writable: true,
+            configurable: true,
+        });
+        REGISTERED_CHECKS.add(method);
+        defineFieldRuleCheck(method);
+
+        return method;
+    }
+
+    /**
+     * Removes a custom check registered by {@link register}.
+     *
+     * @param {string} name - The name the check was registered with.
+     * @throws {ValidationError} If no custom check is registered with the name.
+     */
+    static unregister(name) {
+        const method = typeof name === 'string' ? toCheckMethodName(name) : undefined;
+
+        Validation.startsFor(name)
+            .check(REGISTERED_CHECKS.has(method), () => getMessage('check.notRegistered', {name: formatValue(name)}))
+            .validate();
+
+        delete Validation.prototype[method];
+        delete FieldRule.prototype[toFieldRuleMethodName(method)];
+        REGISTERED_CHECKS.delete(method);
     }
 
     /**
      * Adds a validation check to the current instance.
      *
-     * @param {boolean} condition - The condition to evaluate.
-     * @param {string} message - The error message if the condition fails.
+     * @param {boolean|Promise<boolean>} condition - The condition to evaluate; a promise makes the check
+     * asynchronous, evaluated by {@link validateAsync}.
+     * @param {string|function(): string} message - The error message if the condition fails, a message key
+     * of the catalog (see {@link getMessage}), or a function building it, called only when the condition fails.
+     * @param {string} [name='check'] - The name of the check, reported with the failure.
      * @returns {Validation} The current ValidationCenter instance for chaining.
      */
-    check(condition, message) {
-        if (!condition) {
-            this.errors.push(new Error(message));
+    check(condition, message, name = 'check') {
+        const negation = this.negation;
+        this.negation = null;
+
+        if (typeof condition?.then === 'function') {
+            const promise = Promise.resolve(condition);
+            // A rejection is reported by validateAsync(); until then it must not surface as unhandled,
+            // e.g. when validate() throws for the pending check and validateAsync() is never called.
+            promise.catch(() => {});
+            this.pending.push({condition: promise, message, name, negation});
+        } else {
+            recordCheck(this, condition, message, name, negation);
         }
         return this;
     }
 
     /**
-     * Validates all checks and throws the first error if any validation fails.
+     * Negates the next check: it fails when the value passes it.
+     *
+     * @example
+     * Validation.startsFor(value).not().checkOneOf(['start', 'end']).validate();
+     * @param {string} [message] - The error message if the negated check fails, replacing the message of the check.
+     * @returns {Validation} The current instance for chaining.
+     */
+    not(message) {
+        this.negation = {message};
+        return this;
+    }
+
+    /**
+     * Switches the instance to the collecting mode, in which {@link validate} reports every failed check
+     * instead of the first one.
+     *
+     * @returns {Validation} The current instance for chaining.
+     */
+    collect() {
+        this.collecting = true;
+        return this;
+    }
+
+    /**
+     * Validates all checks and throws the first error if any validation fails,
+     * or an error carrying every failure in the collecting mode.
      *
-     * @throws {Error} Throws the first validation error if any.
+     * @throws {ValidationError} Throws the first validation error if any.
+     * @throws {Error} If asynchronous checks are pending or the chain ends with {@link not}.
      */
     validate() {
-        if (this.errors.length > 0) {
+        checkNoDanglingNegation(this);
+
+        if (this.pending.length > 0) {
+            throw new Error(getMessage('validation.pending'));
+        }
+
+        if (this.collecting) {
+            this.validateAll();
+        } else if (this.errors.length > 0) {
             throw this.errors[0];
         }
     }
 
     /**
-     * Checks if the value is null, undefined, or empty (for both single values and arrays).
+     * Waits for the asynchronous checks, then validates all checks like {@link validate}.
+     * Failures of the asynchronous checks are reported after the failures of the synchronous ones,
+     * in the order the checks were added.
+     *
+     * @returns {Promise<void>} Resolves when every check passes.
+     * @throws {ValidationError} Rejects with the first validation error if any,
+     * or an error carrying every failure in the collecting mode.
+     */
+    async validateAsync() {
+        const pending = this.pending;
+        const outcomes = await Promise.all(pending.map(({condition}) => condition));
+
+        this.pending = [];
+        pending.forEach(({message, name, negation}, index) =>
+            recordCheck(this, outcomes[index], message, name, negation));
+
+        this.validate();
+    }
+
+    /**
+     * Validates all checks and throws an error carrying every failure if any validation fails.
+     *
+     * @throws {ValidationError} Throws the error with all failed checks if any.
+     * @throws {Error} If the chain ends with {@link not}.
+     */
+    validateAll() {
+        checkNoDanglingNegation(this);
+
+        if (this.failures.length > 0) {
+            throw new ValidationError([...this.failures]);
+        }
+    }
+
+    /**
+     * Returns the outcome of the checks without throwing.
+     *
+     * @returns {{valid: boolean, errors: Array<ValidationFailure>}} Whether all checks passed, and the failed checks.
+     * @throws {Error} If the chain ends with {@link not}.
+     */
+    result() {
+        checkNoDanglingNegation(this);
+
+        return {valid: this.failures.length === 0, errors: [...this.failures]};
+    }
+
+    /**
+     * Checks if the value is null, undefined, or empty (for single values, arrays and typed arrays).
      *
      * @param {string} message - The error message if the value is null, undefined, or empty.
      * @returns {Validation} The current instance for chaining.
      */
-    checkNullOrEmpty(message = 'Value is null, undefined, or empty.') {
+    checkNullOrEmpty(message = 'validation.nullOrEmpty') {
         return this.check(
-            this.value != null && (!(Array.isArray(this.value) && this.value.length === 0)
+            this.value != null && (!((Array.isArray(this.value) || isTypedArray(this.value)) && this.value.length === 0)
                 && (!(typeof this.value === 'string') || this.value.trim().length > 0)),
-            message
+            message, 'checkNullOrEmpty'
         );
     }
 
@@ -63,8 +322,8 @@ export class Validation {
      * @param {string} message - The error message if the value is not a valid number.
      * @returns {Validation} The current instance for chaining.
      */
-    checkNumber(message = 'Provided value is not a valid number.') {
-        return this.check(typeof this.value === 'number', message);
+    checkNumber(message = 'validation.number') {
+        return this.check(typeof this.value === 'number', message, 'checkNumber');
     }
 
     /**
@@ -73,8 +332,8 @@ export class Validation {
      * @param {string} message - The error message if the value is not a valid string.
      * @returns {Validation} The current instance for chaining.
      */
-    checkString(message = 'Provided value is not a valid string.') {
-        return this.check(typeof this.value === 'string', message);
+    checkString(message = 'validation.string') {
+        return this.check(typeof this.value === 'string', message, 'checkString');
     }
 
     /**
@@ -83,8 +342,18 @@ export class Validation {
      * @param {string} message - The error message if the value is not a valid array.
      * @returns {Validation} The current instance for chaining.
      */
-    checkArray(message = 'Provided value is not a valid array.') {
-        return this.check(Array.isArray(this.value), message);
+    checkArray(message = 'validation.array') {
+        return this.check(Array.isArray(this.value), message, 'checkArray');
+    }
+
+    /**
+     * Validates that the value is an array or a typed array (e.g. `Float64Array`).
+     *
+     * @param {string} message - The error message if the value is neither an array nor a typed array.
+     * @returns {Validation} The current instance for chaining.
+     */
+    checkArrayOrTypedArray(message = 'validation.array') {
+        return this.check(Array.isArray(this.value) || isTypedArray(this.value), message, 'checkArrayOrTypedArray');
     }
 
     /**
@@ -93,8 +362,143 @@ export class Validation {
      * @param {string} message - The error message if the value is not a positive number.
      * @returns {Validation} The current instance for chaining.
      */
-    checkPositiveNumber(message = 'Provided value is not a positive number.') {
-        return this.check(this.value > 0, message);
+    checkPositiveNumber(message = 'validation.positiveNumber') {
+        return this.check(typeof this.value === 'number' && this.value > 0, message, 'checkPositiveNumber');
+    }
+
+    /**
+     * Checks if the value is a number greater than or equal to zero.
+     *
+     * @param {string} message - The error message if the value is negative or not a number.
+     * @returns {Validation} The current instance for chaining.
+     */
+    checkNonNegative(message = 'validation.nonNegative') {
+        return this.check(typeof this.value === 'number' && this.value >= 0, message, 'checkNonNegative');
+    }
+
+    /**
+     * Validates that the value is an integer.
+     *
+     * @param {string} message - The error message if the value is not an integer.
+     * @returns {Validation} The current instance for chaining.
+     */
+    checkInteger(message = 'validation.integer') {
+        return this.check(Number.isInteger(this.value), message, 'checkInteger');
+    }
+
+    /**
+     * Validates that the value is a finite number (not NaN or infinite).
+     *
+     * @param {string} message - The error message if the value is not a finite number.
+     * @returns {Validation} The current instance for chaining.
+     */
+    checkFinite(message = 'validation.finite') {
+        return this.check(Number.isFinite(this.value), message, 'checkFinite');
+    }
+
+    /**
+     * Validates that the value is a number within an inclusive range.
+     *
+     * @param {number} [min=-Infinity] - The minimal allowed value.
+     * @param {number} [max=Infinity] - The maximal allowed value.
+     * @param {string} message - The error message if the value is out of the range.
+     * @returns {Validation} The current instance for chaining.
+     */
+    checkRange(min = -Infinity, max = Infinity,
+               message = () => getMessage('validation.range', {value: this.value, min, max})) {
+        return this.check(typeof this.value === 'number' && this.value >= min && this.value <= max,
+            message, 'checkRange');
+    }
+
+    /**
+     * Validates that the value is one of the allowed values (compared with SameValueZero).
+     *
+     * @param {Array} values - The allowed values.
+     * @param {string} message - The error message if the value is not allowed.
+     * @returns {Validation} The current instance for chaining.
+     */
+    checkOneOf(values, message = () => getMessage('validation.oneOf', {
+        value: this.value,
+        values: Array.from(values ?? [], formatValue).join(', '),
+    })) {
+        return this.check(Array.isArray(values) && values.includes(this.value), message, 'checkOneOf');
+    }
+
+    /**
+     * Validates that the value is a string matching a regular expression.
+     *
+     * @param {RegExp} regex - The regular expression to match.
+     * @param {string} message - The error message if the value does not match.
+     * @returns {Validation} The current instance for chaining.
+     */
+    checkMatches(regex, message = () => getMessage('validation.matches', {value: this.value, pattern: String(regex)})) {
+        return this.check(typeof this.value === 'string' && this.value.search(regex) !== -1, message, 'checkMatches');
+    }
+
+    /**
+     * Validates that the length of a string, an array or a typed array is within an inclusive range.
+     *
+     * @param {number} [min=0] - The minimal allowed length.
+     * @param {number} [max=Infinity] - The maximal allowed length.
+     * @param {string} message - The error message if the length is out of the range or the value has no length.
+     * @returns {Validation} The current instance for chaining.
+     */
+    checkLength(min = 0, max = Infinity,
+                message = () => getMessage('validation.length', {value: this.value, min, max})) {
+        const length = typeof this.value === 'string' || Array.isArray(this.value) || isTypedArray(this.value)
+            ? this.value.length : undefined;
+
+        return this.check(length >= min && length <= max, message, 'checkLength');
+    }
+
+    /**
+     * Validates that the value is an instance of a class.
+     *
+     * @param {Function} type - The expected class.
+     * @param {string} message - The error message if the value is not an instance of the class.
+     * @returns {Validation} The current instance for chaining.
+     */
+    checkInstanceOf(type, message = () => getMessage('validation.instanceOf', {
+        value: this.value,
+        type: type?.name || String(type),
+    })) {
+        return this.check(typeof type === 'function' && this.value instanceof type, message, 'checkInstanceOf');
+    }
+
+    /**
+     * Validates that the value is a valid Date (not an Invalid Date).
+     *
+     * @param {string} message - The error message if the value is not a valid date.
+     * @returns {Validation} The current instance for chaining.
+     */
+    checkDate(message = 'validation.date') {
+        return this.check(this.value instanceof Date && !isNaN(this.value.getTime()), message, 'checkDate');
+    }
+
+    /**
+     * Validates that the value is an array whose every element passes a type check.
+     *
+     * @example
+     * Validation.startsFor(values).checkArrayOf('checkFinite').validate();
+     * @param {string|function(*): boolean} typeCheck - Name of a check, e.g. 'checkNumber', or a predicate.
+     * @param {string} [message] - The error message if the value is not an array or an element fails the check.
+     * @returns {Validation} The current instance for chaining.
+     */
+    checkArrayOf(typeCheck, message) {
+        if (typeof typeCheck !== 'function' && typeof Validation.prototype[typeCheck] !== 'function') {
+            throw new Error(getMessage('validation.arrayOf.typeCheck', {typeCheck: formatValue(typeCheck)}));
+        }
+
+        const passes = typeof typeCheck === 'function'
+            ? typeCheck
+            : (item) => Validation.startsFor(item)[typeCheck]().failures.length === 0;
+        const index = Array.isArray(this.value) ? this.value.findIndex(item => !passes(item)) : -1;
+
+        message ??= () => index === -1
+            ? getMessage('validation.arrayOf.array', {value: this.value})
+            : getMessage('validation.arrayOf', {element: formatValue(this.value[index]), index: String(index)});
+
+        return this.check(Array.isArray(this.value) && index === -1, message, 'checkArrayOf');
     }
 
     /**
@@ -103,7 +507,444 @@ export class Validation {
      * @param {string} message - The error message if the value is not a valid function.
      * @returns {Validation} The current instance for chaining.
      */
-    checkFunction(message = 'Provided value is not a valid function.') {
-        return this.check(this.value === 'function' || typeof this.value === 'function', message);
+    checkFunction(message = 'validation.function') {
+        return this.check(this.value === 'function' || typeof this.value === 'function', message, 'checkFunction');
     }
+}
+
+/**
+ * Rule of a schema field: a function configuring the provided {@link FieldRule}, a field rule,
+ * or a nested shape or schema the field must be an object of.
+ * @typedef {function(FieldRule): FieldRule|FieldRule|ValidationSchema|Object<string, *>} SchemaRule
+ */
+
+/**
+ * Declarative schema validating the fields of objects, see {@link Validation.schema}.
+ */
+export class ValidationSchema {
+    /**
+     * @param {Object<string, SchemaRule>} shape - Rules keyed by field name.
+     */
+    constructor(shape) {
+        Validation.startsFor(shape)
+            .check(isPlainObject(shape), 'schema.shape')
+            .validate();
+
+        this.rules = Object.entries(shape).map(([field, rule]) => [field, toFieldRule(rule, field)]);
+    }
+
+    /**
+     * Validates an object against the schema and throws an error carrying every failure if any validation fails.
+     *
+     * @param {Object} value - The object to validate.
+     * @returns {Object} A shallow copy of the object with the default values applied.
+     * @throws {ValidationError} Throws the error with all failed checks if any.
+     */
+    validate(value) {
+        const failures = [];
+        const result = this.apply(value, '', failures);
+
+        if (failures.length > 0) {
+            throw new ValidationError(failures);
+        }
+        return result;
+    }
+
+    /**
+     * Validates an object against the schema and throws the first failure if any validation fails,
+     * like {@link Validation#validate}. Array operations validate their arguments this way,
+     * so an invalid call reports its first invalid argument only.
+     *
+     * @param {Object} value - The object to validate.
+     * @returns {Object} A shallow copy of the object with the default values applied.
+     * @throws {ValidationError} Throws the error of the first failed check if any.
+     */
+    validateFirst(value) {
+        const failures = [];
+        const result = this.apply(value, '', failures);
+
+        if (failures.length > 0) {
+            throw new ValidationError(failures.slice(0, 1));
+        }
+        return result;
+    }
+
+    /**
+     * Validates an object against the schema without throwing.
+     *
+     * @param {Object} value - The object to validate.
+     * @returns {{valid: boolean, errors: Array<ValidationFailure>, value: Object}} Whether all checks passed,
+     * the failed checks and the object with the default values applied.
+     */
+    result(value) {
+        const failures = [];
+        const result = this.apply(value, '', failures);
+
+        return {valid: failures.length === 0, errors: failures, value: result};
+    }
+
+    /**
+     * Applies the schema to a value located at a field path, collecting the failures.
+     *
+     * @param {*} value - The value to validate.
+     * @param {string} path - The field path of the value, empty for the root value.
+     * @param {Array<ValidationFailure>} failures - The collected failures.
+     * @returns {*} A shallow copy of the object with the default values applied, or the value if it is not an object.
+     */
+    apply(value, path, failures) {
+        const validation = Validation.startsFor(value, path || undefined)
+            .check(isPlainObject(value), 'validation.object', 'checkObject');
+
+        if (validation.failures.length > 0) {
+            failures.push(...validation.failures);
+            return value;
+        }
+
+        const result = {...value};
+
+        this.rules.forEach(([field, rule]) => {
+            const fieldValue = rule.apply(value[field], path ? `${path}.${field}` : field, failures);
+            if (fieldValue !== undefined || Object.hasOwn(value, field)) result[field] = fieldValue;
+        });
+
+        return result;
+    }
+}
+
+/**
+ * Chainable rule of a single schema field. Every check is a check of {@link Validation} applied to the field value,
+ * and the checks of a field stop at its first failure. Fields are required unless optional or defaulted.
+ * Besides the methods below, every check of {@link Validation} is available without its prefix
+ * and with the same arguments, e.g. `integer()`, `range(min, max)` or `oneOf(values)`.
+ */
+export class FieldRule {
+    constructor() {
+        this.steps = [];
+        this.requiredMessage = undefined;
+        this.isOptional = false;
+        this.hasDefault = false;
+        this.defaultValue = undefined;
+        this.shape = null;
+        this.itemRule = null;
+    }
+
+    /**
+     * Sets the error message reported when the field is missing.
+     *
+     * @param {string} message - The error message if the field is missing.
+     * @returns {FieldRule} The current rule for chaining.
+     */
+    required(message) {
+        this.requiredMessage = message;
+        return this;
+    }
+
+    /**
+     * Allows the field to be missing (undefined).
+     *
+     * @returns {FieldRule} The current rule for chaining.
+     */
+    optional() {
+        this.isOptional = true;
+        return this;
+    }
+
+    /**
+     * Sets the value used when the field is missing; default values are not checked.
+     *
+     * @param {*} value - The default value.
+     * @returns {FieldRule} The current rule for chaining.
+     */
+    default(value) {
+        this.hasDefault = true;
+        this.defaultValue = value;
+        return this;
+    }
+
+    /**
+     * Adds a custom check of the field value.
+     *
+     * @param {function(*): boolean} predicate - Predicate the field value must satisfy.
+     * @param {string} message - The error message if the predicate fails.
+     * @returns {FieldRule} The current rule for chaining.
+     */
+    check(predicate, message) {
+        return this.use((validation) => validation.check(predicate(validation.value), message));
+    }
+
+    /**
+     * Checks that the field value is not null or empty, see {@link Validation#checkNullOrEmpty}.
+     *
+     * @param {string} [message] - The error message if the check fails.
+     * @returns {FieldRule} The current rule for chaining.
+     */
+    notEmpty(message) {
+        return this.use((validation) => validation.checkNullOrEmpty(message));
+    }
+
+    /**
+     * Checks that the field value is a positive number, see {@link Validation#checkPositiveNumber}.
+     *
+     * @param {string} [message] - The error message if the check fails.
+     * @returns {FieldRule} The current rule for chaining.
+     */
+    positive(message) {
+        return this.use((validation) => validation.checkPositiveNumber(message));
+    }
+
+    /**
+     * Negates the next check of the field, see {@link Validation#not}.
+     *
+     * @param {string} [message] - The error message if the negated check fails.
+     * @returns {FieldRule} The current rule for chaining.
+     */
+    not(message) {
+        return this.use((validation) => validation.not(message));
+    }
+
+    /**
+     * Checks that the field value is an object matching a nested schema.
+     *
+     * @param {ValidationSchema|Object<string, SchemaRule>} shape - The nested schema or its shape.
+     * @returns {FieldRule} The current rule for chaining.
+     */
+    object(shape) {
+        this.shape = shape instanceof ValidationSchema ? shape : new ValidationSchema(shape);
+        return this;
+    }
+
+    /**
+     * Checks that the field value is an array whose every item matches a rule.
+     *
+     * @param {SchemaRule} rule - The rule of the items.
+     * @returns {FieldRule} The current rule for chaining.
+     */
+    items(rule) {
+        this.itemRule = toFieldRule(rule, 'items');
+        return this.array();
+    }
+
+    /**
+     * Adds a check applied to the {@link Validation} of the field value.
+     *
+     * @param {function(Validation): Validation} step - The check.
+     * @returns {FieldRule} The current rule for chaining.
+     */
+    use(step) {
+        this.steps.push(step);
+        return this;
+    }
+
+    /**
+     * Applies the rule to a field value, collecting the failures.
+     *
+     * @param {*} value - The field value.
+     * @param {string} path - The field path, e.g. 'items[3].name'.
+     * @param {Array<ValidationFailure>} failures - The collected failures.
+     * @returns {*} The field value with the default values applied.
+     */
+    apply(value, path, failures) {
+        if (value === undefined) {
+            if (this.hasDefault) return this.defaultValue;
+            if (!this.isOptional) {
+                const message = resolveMessage(this.requiredMessage ?? 'validation.required', value, path);
+                failures.push({message, check: 'required', value, path});
+            }
+            return value;
+        }
+
+        const validation = Validation.startsFor(value, path);
+
+        for (const step of this.steps) {
+            if (step(validation).failures.length > 0) break;
+        }
+
+        checkNoDanglingNegation(validation);
+
+        if (validation.pending.length > 0) {
+            throw new Error(getMessage('schema.pending', {field: path}));
+        }
+
+        if (validation.failures.length > 0) {
+            failures.push(...validation.failures);
+            return value;
+        }
+
+        if (this.shape) return this.shape.apply(value, path, failures);
+        if (this.itemRule) return value.map((item, index) => this.itemRule.apply(item, `${path}[${index}]`, failures));
+
+        return value;
+    }
+}
+
+/**
+ * Installs the field rule method applying a check of {@link Validation}, named after the check without its prefix.
+ *
+ * @param {string} name - The check name, e.g. 'checkInteger' for the `integer()` method.
+ */
+function defineFieldRuleCheck(name) {
+    const method = toFieldRuleMethodName(name);
+    if (method in FieldRule.prototype) return;
+
+    Object.defineProperty(FieldRule.prototype, method, {
+        value(...args) {
+            return this.use((validation) => validation[name](...args));
+        },
+        writable: true,
+        configurable: true,
+    });
+}
+
+/**
+ * Converts a check method name to the name of its field rule method, e.g. 'checkInteger' to 'integer'.
+ *
+ * @param {string} name - The check method name.
+ * @returns {string} The field rule method name.
+ */
+function toFieldRuleMethodName(name) {
+    return name.charAt(5).toLowerCase() + name.slice(6);
+}
+
+Object.getOwnPropertyNames(Validation.prototype)
+    .filter(name => /^check[A-Z]/.test(name))
+    .forEach(defineFieldRuleCheck);
+
+/**
+ * Method names of the custom checks added by {@link Validation.register}.
+ * @type {Set<string>}
+ */
+const REGISTERED_CHECKS = new Set();
+
+/**
+ * Pattern of custom check names: words optionally prefixed by dot separated namespaces.
+ * @type {RegExp}
+ */
+const CHECK_NAME_PATTERN = /^[a-zA-Z][a-zA-Z0-9]*(\.[a-zA-Z][a-zA-Z0-9]*)*$/;
+
+/**
+ * Converts a custom check name to its method name, e.g. 'billing.iban' to 'checkBillingIban'.
+ *
+ * @param {string} name - The check name.
+ * @returns {string} The check method name.
+ */
+function toCheckMethodName(name) {
+    return `check${name.split('.').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join('')}`;
+}
+
+/**
+ * Builds the default error message of a custom check.
+ *
+ * @param {string|Function|undefined} defaultMessage - The default message registered with the check.
+ * @param {string} method - The check method name.
+ * @param {*} value - The offending value.
+ * @param {Array} params - The parameters of the check.
+ * @returns {string} The error message.
+ */
+function buildDefaultMessage(defaultMessage, method, value, params) {
+    if (typeof defaultMessage === 'function') return defaultMessage(value, ...params);
+    if (defaultMessage === undefined) return getMessage('validation.custom', {value, check: method});
+    if (hasMessage(defaultMessage)) return getMessage(defaultMessage, {value, ...params});
+
+    return interpolate(defaultMessage, {value, ...params});
+}
+
+/**
+ * Resolves the error message of a failed check: message functions are called,
+ * and message keys of the catalog are looked up in the selected locale with the value and field path
+ * as `{value}` and `{field}` parameters. Other messages are used as they are.
+ *
+ * @param {string|function(): string} message - The message, message key or message function.
+ * @param {*} value - The offending value.
+ * @param {string} [path] - The field path of the value.
+ * @returns {string} The error message.
+ */
+function resolveMessage(message, value, path) {
+    if (typeof message === 'function') return message();
+    if (typeof message === 'string' && hasMessage(message)) return getMessage(message, {value, field: path ?? ''});
+
+    return message;
+}
+
+/**
+ * Checks that a validation does not end with a negation lacking the check to negate,
+ * which would otherwise be silently ignored.
+ *
+ * @param {Validation} validation - The validation to check.
+ * @throws {Error} If the validation ends with {@link Validation#not}.
+ */
+function checkNoDanglingNegation(validation) {
+    if (validation.negation) {
+        throw new Error(getMessage('validation.not.dangling'));
+    }
+}
+
+/**
+ * Records the outcome of a check, applying its negation.
+ *
+ * @param {Validation} validation - The validation the check belongs to.
+ * @param {boolean} condition - The outcome of the check.
+ * @param {string|function(): string} message - The error message if the check fails.
+ * @param {string} name - The name of the check.
+ * @param {{message: (string|undefined)}|null} negation - The negation of the check, see {@link Validation#not}.
+ */
+function recordCheck(validation, condition, message, name, negation) {
+    if (negation) {
+        const negated = name;
+
+        message = negation.message ?? (() => getMessage('validation.not', {value: validation.value, check: negated}));
+        name = `not.${negated}`;
+        condition = !condition;
+    }
+
+    if (!condition) {
+        const failure = {
+            message: resolveMessage(message, validation.value, validation.path),
+            check: name,
+            value: validation.value,
+            path: validation.path,
+        };
+
+        validation.failures.push(failure);
+        validation.errors.push(new ValidationError([failure]));
+    }
+}
+
+/**
+ * Converts a schema rule to a field rule.
+ *
+ * @param {SchemaRule} rule - The schema rule.
+ * @param {string} field - The field name, reported if the rule is invalid.
+ * @returns {FieldRule} The field rule.
+ */
+function toFieldRule(rule, field) {
+    if (typeof rule === 'function') rule = rule(new FieldRule());
+    if (rule instanceof FieldRule) return rule;
+    if (rule instanceof ValidationSchema || isPlainObject(rule)) return new FieldRule().object(rule);
+
+    throw new ValidationError([{
+        message: getMessage('schema.rule', {field}),
+        check: 'schema',
+        value: rule,
+        path: field,
+    }]);
+}
+
+/**
+ * Checks if a value is a plain object (not null, an array or a typed array).
+ *
+ * @param {*} value - The value to check.
+ * @returns {boolean} True if the value is a plain object; otherwise false.
+ */
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value) && !isTypedArray(value);
+}
+
+/**
+ * Checks if a value is a typed array (a view over a binary buffer other than a DataView).
+ *
+ * @param {*} value - The value to check.
+ * @returns {boolean} True if the value is a typed array; otherwise false.
+ */
+export function isTypedArray(value) {
+    return ArrayBuffer.isView(value) && !(value instanceof DataView);
 }
\ No newline at end of file
@@ -99,7 +99,7 @@ export function getFileSafeDateTime() {
  */
 export function measureExecutionTime(func, ...args) {
     Validation.startsFor(func)
-        .checkFunction('Provided argument is not a function.')
+        .checkFunction('argument.notFunction')
         .validate();
 
     const start = performance.now();
@@ -27,9 +27,9 @@ import {Validation} from "../common/validation.js";
  */
 export function generateUniqueRandomWordsAndNumbers(count) {
     Validation.startsFor(count)
-        .checkNullOrEmpty('Count is required.')
-        .checkNumber('Count is invalid.')
-        .checkPositiveNumber('Provided count must be positive.')
+        .checkNullOrEmpty('count.required')
+        .checkFinite('count.notFinite')
+        .checkPositiveNumber('count.positive')
         .validate();
 
     const uniqueValues = new Set();
@@ -9,6 +9,7 @@
  * - `getHookType`: Extracts the hook type from a given string.
  * - `getTitleWithoutHook`: Cleans up the hook title from a message string.
  * - `envStringToBooleanNumber`: Converts a string value from an environment variable to a boolean-like number.
+ * - `parseBooleanString`: Converts a truthy or falsy string representation to a boolean.
  *
  * @module string-utils
  */
@@ -77,6 +78,33 @@ export function getHookType(input) {
     return match ? match[1] || match[2] : null;
 }
 
+/**
+ * Truthy and falsy string representations of booleans, in lower case.
+ * @type {Readonly<{truthy: ReadonlyArray<string>, falsy: ReadonlyArray<string>}>}
+ */
+export const BOOLEAN_STRINGS = Object.freeze({
+    truthy: Object.freeze(["true", "1", "yes", "on"]),
+    falsy: Object.freeze(["false", "0", "no", "off"]),
+});
+
+/**
+ * Converts a truthy or falsy string representation to a boolean, case-insensitive and ignoring
+ * surrounding whitespace. See {@link BOOLEAN_STRINGS} for the supported representations.
+ *
+ * @param {string} value - The string value to convert.
+ * @returns {boolean|undefined} The boolean, or undefined if the value is not a boolean representation.
+ */
+export function parseBooleanString(value) {
+    if (typeof value !== "string") return undefined;
+
+    const normalizedValue = value.trim().toLowerCase();
+
+    if (BOOLEAN_STRINGS.truthy.includes(normalizedValue)) return true;
+    if (BOOLEAN_STRINGS.falsy.includes(normalizedValue)) return false;
+
+    return undefined;
+}
+
 /**
  * Converts a string value from an environment variable to a boolean-like number.
  * Supports common truthy and falsy string representations, case-insensitive.
@@ -90,15 +118,5 @@ export function getHookType(input) {
  * @returns {number} 1 for truthy values, 0 for falsy or invalid values.
  */
 export function envStringToBooleanNumber(value) {
-    if (typeof value !== "string") return 0;
-
-    const truthyValues = ["true", "1", "yes", "on"];
-    const falsyValues = ["false", "0", "no", "off"];
-
-    const normalizedValue = value.trim().toLowerCase();
-
-    if (truthyValues.includes(normalizedValue)) return 1;
-    if (falsyValues.includes(normalizedValue)) return 0;
-
-    return 0;
+    return parseBooleanString(value) ? 1 : 0;
 }
\ No newline at end of file
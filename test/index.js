@@ -12,4 +12,7 @@
 
 import './test-suites/arrays/arrays-operations-test.js';
 import './test-suites/arrays/array-utils-test.js';
+import './test-suites/arrays/array-streaming-test.js';
+import './test-suites/common/validation-test.js';
+import './test-suites/common/messages-test.js';
 import './test-suites/utils/string-utils-test.js';
\ No newline at end of file
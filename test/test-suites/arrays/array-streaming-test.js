@@ -0,0 +1,225 @@
+'use strict'
+
+import {processDefaultHooks} from "../../utils/hook-utils.js";
+import {performAsyncStepWithMessage as asyncStep, performStepWithMessage as step} from "../../utils/test-utils.js";
+import {expect} from "chai";
+import {Readable} from "node:stream";
+import * as testTarget from "../../../src/arrays-streaming.js";
+import {calculateStats} from "../../../src/arrays-operations.js";
+
+/**
+ * Creates an async generator yielding values one by one.
+ * @param {Array} values - The values to yield.
+ * @returns {AsyncGenerator<*>} The values.
+ */
+async function* generate(values) {
+    for (const value of values) yield value;
+}
+
+/**
+ * Creates an async generator yielding values one by one, then failing.
+ * @param {Array} values - The values to yield before failing.
+ * @returns {AsyncGenerator<*>} The values.
+ * @throws {Error} After the last value.
+ */
+async function* generateThenFail(values) {
+    yield* generate(values);
+    throw new Error('Source failed.');
+}
+
+describe('Array Streaming', () => {
+    processDefaultHooks('Array Streaming Functions');
+
+    const values = [5, 'apple', -3, 12, null, -7, 0, 8.5];
+
+    /**
+     * Tests for {@link chunked}
+     */
+    describe('chunked source function', () => {
+        it('should group source elements into chunks', async () => {
+            const chunks = await asyncStep('Read source in chunks of 3 elements.', () =>
+                testTarget.toArray(testTarget.chunked(generate(values), 3)));
+
+            step('Verify that elements are grouped in order with a smaller last chunk.', () =>
+                expect(chunks).to.deep.equal([[5, 'apple', -3], [12, null, -7], [0, 8.5]]));
+        });
+
+        it('should yield chunks read before the source fails', async () => {
+            const chunks = [];
+            let error;
+
+            await asyncStep('Read chunks of a source failing after the first chunk.', async () => {
+                try {
+                    for await (const chunk of testTarget.chunked(generateThenFail([1, 2, 3]), 2)) chunks.push(chunk);
+                } catch (caught) {
+                    error = caught;
+                }
+            });
+
+            step('Verify that the first chunk is yielded before the failure.', () => {
+                expect(chunks).to.deep.equal([[1, 2]]);
+                expect(error).to.be.an('error').with.property('message', 'Source failed.');
+            });
+        });
+
+        it('should throw an error for invalid source or chunk size', () =>
+            step('Verify that function throws an error for invalid arguments.', () => {
+                expect(() => testTarget.chunked(5)).to.throw('Provided source is not iterable.');
+                expect(() => testTarget.chunked(values, 0)).to.throw('Provided chunk size must be a positive integer.');
+            }));
+    });
+
+    /**
+     * Tests for the streaming filters
+     */
+    describe('streaming filter functions', () => {
+        it('should filter source elements chunk by chunk', async () => {
+            const options = {chunkSize: 2};
+            const [numbers, positive, negative, greater, smaller] = await asyncStep('Filter source elements.', () =>
+                Promise.all([
+                    testTarget.toArray(testTarget.filterNumbers(generate(values), options)),
+                    testTarget.toArray(testTarget.filterPositiveNumbers(values, options)),
+                    testTarget.toArray(testTarget.filterNegativeNumbers(values, options)),
+                    testTarget.toArray(testTarget.filterNumbersGreaterThan(values, 5, options)),
+                    testTarget.toArray(testTarget.filterNumbersSmallerThan(values, 0, options)),
+                ]));
+
+            step('Verify that every filter yields the matching elements in order.', () => {
+                expect(numbers).to.deep.equal([5, -3, 12, -7, 0, 8.5]);
+                expect(positive).to.deep.equal([5, 12, 8.5]);
+                expect(negative).to.deep.equal([-3, -7]);
+                expect(greater).to.deep.equal([12, 8.5]);
+                expect(smaller).to.deep.equal([-3, -7]);
+            });
+        });
+
+        it('should filter source elements by custom condition', async () => {
+            const strings = await asyncStep('Filter source elements by condition.', () => testTarget.toArray(
+                testTarget.filterByCondition(generate(values), (item) => typeof item === 'string')));
+
+            step('Verify that only matching elements are yielded.', () =>
+                expect(strings).to.deep.equal(['apple']));
+        });
+
+        it('should throw an error for invalid filter arguments before iterating', () =>
+            step('Verify that function throws an error for invalid arguments.', () => {
+                expect(() => testTarget.filterByCondition(values, 'abc'))
+                    .to.throw('Provided argument is not a function.');
+                expect(() => testTarget.filterNumbersGreaterThan(values, '5')).to.throw('Provided number is invalid.');
+            }));
+    });
+
+    /**
+     * Tests for {@link convertToStrings}
+     */
+    describe('streaming conversion functions', () => {
+        it('should convert source elements to strings', async () => {
+            const strings = await asyncStep('Convert source elements to strings.', () =>
+                testTarget.toArray(testTarget.convertToStrings(generate([1, true, null]))));
+
+            step('Verify that every element is converted to string.', () =>
+                expect(strings).to.deep.equal(['1', 'true', 'null']));
+        });
+    });
+
+    /**
+     * Tests for {@link calculateStats} and {@link runningStats}
+     */
+    describe('streaming statistics functions', () => {
+        it('should match statistics of the materialized array', async () => {
+            const numbers = Array.from({length: 2500}, (_, index) => 1e9 + (index % 17) * 0.5);
+            let expected;
+
+            step('Calculate statistics of the materialized array.', () =>
+                expected = calculateStats(numbers));
+
+            const actual = await asyncStep('Calculate statistics of the source in a single pass.', () =>
+                testTarget.calculateStats(generate(numbers), {chunkSize: 300}));
+
+            step('Verify that single pass statistics equal the statistics of the array.', () => {
+                ['count', 'ignored', 'min', 'max', 'range'].forEach(key =>
+                    expect(actual[key]).to.equal(expected[key], `Statistic ${key} differs`));
+                ['sum', 'average', 'variance', 'sampleVariance', 'standardDeviation'].forEach(key =>
+                    expect(actual[key]).to.be.closeTo(expected[key], 1e-6, `Statistic ${key} differs`));
+            });
+        });
+
+        it('should yield statistics after every chunk', async () => {
+            const snapshots = await asyncStep('Read running statistics of the source.', () =>
+                testTarget.toArray(testTarget.runningStats(values, {chunkSize: 4})));
+
+            step('Verify that statistics accumulate over the chunks.', () => {
+                expect(snapshots.map(({count, ignored}) => [count, ignored])).to.deep.equal([[3, 1], [6, 2]]);
+                expect(snapshots[1].sum).to.equal(15.5);
+            });
+        });
+
+        it('should return empty statistics for a source without numbers', async () => {
+            const stats = await asyncStep('Calculate statistics of a source without numbers.', () =>
+                testTarget.calculateStats(generate(['apple', NaN])));
+
+            step('Verify that statistics are null except counters.', () =>
+                expect(stats).to.include({count: 0, ignored: 2, sum: 0, min: null, average: null, variance: null}));
+        });
+
+        it('should treat an empty source like an empty generator', async () => {
+            const [fromArray, fromGenerator, elements, snapshots] = await asyncStep('Read empty sources.', () =>
+                Promise.all([
+                    testTarget.calculateStats([]),
+                    testTarget.calculateStats(generate([])),
+                    testTarget.toArray([]),
+                    testTarget.toArray(testTarget.runningStats([])),
+                ]));
+
+            step('Verify that empty sources are read as sources without elements.', () => {
+                expect(fromArray).to.deep.equal(fromGenerator);
+                expect(fromArray).to.include({count: 0, ignored: 0});
+                expect(elements).to.deep.equal([]);
+                expect(snapshots).to.deep.equal([]);
+            });
+
+            step('Verify that missing sources throw an error.', () => {
+                expect(() => testTarget.chunked(null)).to.throw('Source is required.');
+                expect(() => testTarget.chunked(undefined)).to.throw('Source is required.');
+            });
+        });
+
+        it('should skip non-finite numbers of a source', async () => {
+            const stats = await asyncStep('Calculate statistics of a source with infinite values.', () =>
+                testTarget.calculateStats(generate([1, Infinity, 3, -Infinity])));
+
+            step('Verify that infinite values are ignored like in the array statistics.', () =>
+                expect(stats).to.include({count: 2, ignored: 2, sum: 4, min: 1, max: 3, variance: 1}));
+        });
+    });
+
+    /**
+     * Tests for {@link fromJsonLines}
+     */
+    describe('JSON lines stream function', () => {
+        it('should pass a stream of JSON lines through filters and statistics', async () => {
+            const stream = Readable.from(['5\n"apple"\n-3\n', '\n12', '\n{"value": 1}\n7.5\n']);
+            const stats = await asyncStep('Calculate statistics of positive numbers parsed from the stream.', () =>
+                testTarget.calculateStats(
+                    testTarget.filterPositiveNumbers(testTarget.fromJsonLines(stream), {chunkSize: 2})));
+
+            step('Verify that parsed positive numbers are aggregated.', () =>
+                expect(stats).to.include({count: 3, ignored: 0, sum: 24.5, min: 5, max: 12}));
+        });
+
+        it('should throw an error for invalid JSON lines', async () => {
+            let error;
+
+            await asyncStep('Parse a stream with an invalid JSON line.', async () => {
+                try {
+                    await testTarget.toArray(testTarget.fromJsonLines(Readable.from(['1\n', '{broken\n'])));
+                } catch (caught) {
+                    error = caught;
+                }
+            });
+
+            step('Verify that the invalid line is reported.', () =>
+                expect(error).to.be.an('error').with.property('message').that.contains('Invalid JSON at line 2'));
+        });
+    });
+});
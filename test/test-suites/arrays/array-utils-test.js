@@ -1,10 +1,11 @@
 'use strict'
 
-import {performStepWithMessage as step} from "../../utils/test-utils.js";
+import {captureLogs, performStepWithMessage as step} from "../../utils/test-utils.js";
 import {assert, expect} from "chai";
 import * as testTarget from "../../../src/arrays-operations.js";
 import {processHooks} from "./hooks.js";
 import {testArray} from "./arrays-operations-test.js";
+import {LOGS_CONFIG} from "../../../config/logs-config.js";
 
 describe('Array Utilities', () => {
     processHooks('Array Utils Functions');
@@ -85,6 +86,18 @@ describe('Array Utilities', () => {
                 expect(actual).to.have.deep.members(expected).and.have.lengthOf(expected.length));
         });
 
+        it('should return values at an index, around a reference value and in the middle', () => {
+            const array = [1, 2, 3, 4, 5];
+
+            step('Verify that function returns values at the positions.', () => {
+                expect(testTarget.getElements(array, 2, 1)).to.deep.equal([2, 3]);
+                expect(testTarget.getElements(array, 2, -2)).to.deep.equal([4, 5]);
+                expect(testTarget.getElements(array, 2, {before: 2})).to.deep.equal([1]);
+                expect(testTarget.getElements(array, 2, {after: 3})).to.deep.equal([4, 5]);
+                expect(testTarget.getElements(array, 3, 'middle')).to.deep.equal([2, 3, 4]);
+            });
+        });
+
         it('should throw an error when array is empty', () =>
             step('Verify that function throw an error when array is empty.', () =>
                 expect(() => testTarget.getElements([], 1, 'abc'))
@@ -108,6 +121,103 @@ describe('Array Utilities', () => {
         it('should throw an error for invalid position type', () =>
             step('Verify that function throw an error for invalid position type.', () =>
                 expect(() => testTarget.getElements(testArray, 1, 'abc'))
-                    .to.throw("Invalid position specified. Use 'start' or 'end'")));
+                    .to.throw("Invalid position specified. Use 'start', 'end', 'middle', an index")));
+    });
+
+    /**
+     * Tests for {@link diffArrays}
+     */
+    describe('array diff utility function', () => {
+        it('should return no changes for equal arrays', () =>
+            step('Verify that diff of equal arrays contains only unchanged elements.', () =>
+                expect(testTarget.diffArrays([1, 'a', NaN], [1, 'a', NaN])).to.deep.equal({
+                    unchanged: [{value: 1, from: 0, to: 0}, {value: 'a', from: 1, to: 1}, {value: NaN, from: 2, to: 2}],
+                    inserted: [], removed: [], moved: [], typeChanged: [],
+                })));
+
+        it('should detect inserted and removed elements', () => {
+            let diff;
+
+            step('Compute diff between arrays.', () =>
+                diff = testTarget.logDiff(['a', 'b', 'c', 'd'], ['a', 'x', 'c', 'd', 'y']));
+
+            step('Verify that inserted and removed elements are reported with their indexes.', () => {
+                expect(diff.inserted).to.deep.equal([{value: 'x', index: 1}, {value: 'y', index: 4}]);
+                expect(diff.removed).to.deep.equal([{value: 'b', index: 1}]);
+                expect(diff.unchanged.map(({value}) => value)).to.deep.equal(['a', 'c', 'd']);
+            });
+        });
+
+        it('should detect moved and type changed elements', () => {
+            let diff;
+
+            step('Compute diff between arrays.', () =>
+                diff = testTarget.logDiff(['a', 'b', 'c', 1], ['b', 'c', 'a', '1']));
+
+            step('Verify that moved and type changed elements are reported with their indexes.', () => {
+                expect(diff.moved).to.deep.equal([{value: 'a', from: 0, to: 2}]);
+                expect(diff.typeChanged).to.deep.equal([{before: 1, after: '1', from: 3, to: 3}]);
+                expect(diff.inserted).to.be.empty;
+                expect(diff.removed).to.be.empty;
+            });
+        });
+
+        it('should not pair unrelated objects as type changed', () => {
+            let diff;
+
+            step('Compute diff between arrays of objects.', () =>
+                diff = testTarget.diffArrays([{a: 1}], [{b: 2}]));
+
+            step('Verify that objects are reported as removed and inserted.', () => {
+                expect(diff.typeChanged).to.be.empty;
+                expect(diff.removed).to.deep.equal([{value: {a: 1}, index: 0}]);
+                expect(diff.inserted).to.deep.equal([{value: {b: 2}, index: 0}]);
+            });
+        });
+
+        it('should log a full dump of arrays differing in too many elements', () => {
+            const before = Array.from({length: 4000}, (_, index) => index);
+            const after = [...before].reverse();
+            let diff;
+            let logs;
+
+            step('Log diff between arrays.', () =>
+                logs = captureLogs(() => diff = testTarget.logDiff(before, after, 'Large diff:')));
+
+            step('Verify that the after array is logged instead of a diff.', () => {
+                expect(diff).to.be.null;
+                expect(logs.join('\n')).to.include('#3999 (type: number), #3998 (type: number)')
+                    .and.not.include('moved');
+                expect(() => testTarget.diffArrays(before, after))
+                    .to.throw('Arrays differ in too many elements to compute their diff.');
+            });
+        });
+
+        it('should log modified array as diff against its snapshot', () => {
+            const initialMode = LOGS_CONFIG.ARRAY_LOG_MODE;
+            const array = [1, 2, 3, 4];
+            let logs;
+
+            try {
+                step('Enable diff logging and remove values from the array.', () => {
+                    LOGS_CONFIG.ARRAY_LOG_MODE = LOGS_CONFIG.ARRAY_LOG_MODES.DIFF;
+                    logs = captureLogs(() => testTarget.removeByCount(array, 2, 'start'));
+                });
+            } finally {
+                LOGS_CONFIG.ARRAY_LOG_MODE = initialMode;
+            }
+
+            step('Verify that array is modified.', () =>
+                expect(array).to.deep.equal([3, 4]));
+
+            step('Verify that the diff against the snapshot is logged.', () =>
+                expect(logs.join('\n')).to.include('#3 (type: number), #4 (type: number), '
+                    + '#1 (type: number, removed from: 0), #2 (type: number, removed from: 1)'));
+        });
+
+        it('should throw an error for invalid arrays', () =>
+            step('Verify that function throw an error when after array is invalid.', () =>
+                expect(() => testTarget.diffArrays([1], 'abc'))
+                    .to.throw('Provided after array is invalid.')));
     });
 });
\ No newline at end of file
@@ -4,11 +4,12 @@ import * as testTarget from '../../../src/arrays-operations.js';
 import {DEFAULT_VALUES} from '../../../src/arrays-operations.js';
 import {expect} from 'chai';
 import {generateUniqueRandomWordsAndNumbers} from '../../../src/utils/random-words.js';
-import {performStepWithMessage as step} from "../../utils/test-utils.js";
+import {captureLogs, performStepWithMessage as step} from "../../utils/test-utils.js";
 import {measureExecutionTime} from "../../../src/utils/date-time.js";
 import {logWithTimestamp} from "../../../logging/logs.js";
 import {colors} from "../../../logging/colors.js";
 import {processHooks} from "./hooks.js";
+import {VALIDATION_CONFIG} from "../../../config/validation-config.js";
 
 // Object to store test group names for easy navigation and consistency
 const testGroupsNames = {
@@ -17,8 +18,15 @@ const testGroupsNames = {
     remove: 'Elements Removal',
     transform: 'Data Transformation',
     sort: 'Data Sorting',
+    immutable: 'Immutable Operations',
     filter: 'Data Filtering',
-    aggregate: 'Data Aggregation'
+    group: 'Data Grouping',
+    sets: 'Set Operations',
+    dedupe: 'Deduplication',
+    aggregate: 'Data Aggregation',
+    typed: 'Typed Arrays',
+    sorted: 'Sorted Arrays',
+    records: 'Record Operations'
 };
 
 /**
@@ -136,6 +144,118 @@ describe('Array', function () {
                     'Actual array contains duplicates.'));
         });
 
+        it('should add values at an index of the array keeping their order', function () {
+            const valuesToAdd = ['first', 'second'];
+
+            step('Populate default array with custom values at index 2.', () =>
+                testTarget.addUniqueValues(testArray, valuesToAdd, 2));
+
+            step('Validate that values are inserted at the index in the provided order.', () =>
+                expect(testArray.slice(2, 4)).to.deep.equal(valuesToAdd));
+        });
+
+        it('should add values at a negative index of the array', function () {
+            step('Populate default array with custom value at index -1.', () =>
+                testTarget.addUniqueValues(testArray, 'last-but-one', -1));
+
+            step('Validate that value is inserted before the last element.', () =>
+                expect(testArray[testArray.length - 2]).to.equal('last-but-one'));
+        });
+
+        it('should add values before and after a reference value', function () {
+            const reference = testArray[2];
+
+            step('Populate default array with custom values around the reference value.', () => {
+                testTarget.addUniqueValues(testArray, 'before', {before: reference});
+                testTarget.addUniqueValues(testArray, 'after', {after: reference});
+            });
+
+            step('Validate that values surround the reference value.', () => {
+                const index = testArray.indexOf(reference);
+                expect(testArray.slice(index - 1, index + 2)).to.deep.equal(['before', reference, 'after']);
+            });
+        });
+
+        it('should add values to the middle of the array', function () {
+            const array = [1, 2, 3, 4];
+
+            step('Populate array with custom values in the middle.', () =>
+                testTarget.addUniqueValues(array, ['a', 'b'], 'middle'));
+
+            step('Validate that values are inserted in the middle.', () =>
+                expect(array).to.deep.equal([1, 2, 'a', 'b', 3, 4]));
+        });
+
+        it('should throw an error when adding at an unknown position', () =>
+            step('Validate that unknown positions throw an error.', () => {
+                expect(() => testTarget.addUniqueValues(testArray, 'x', 'top'))
+                    .to.throw('Invalid position specified.');
+                expect(() => testTarget.addUniqueValues(testArray, 'x', {above: testArray[0]}))
+                    .to.throw('Invalid position specified.');
+                expect(() => testTarget.addUniqueValues(testArray, 'x', 1.5))
+                    .to.throw('Position index [1.5] is out of range.');
+                expect(() => testTarget.addUniqueValues(testArray, 'x', testArray.length + 1))
+                    .to.throw(`Position index [${testArray.length + 1}] is out of range.`);
+                expect(() => testTarget.addUniqueValues(testArray, 'x', {after: 'missing'}))
+                    .to.throw('Reference value [missing] is not found in the array.');
+                expect(() => testTarget.addUniqueValues([1, NaN], 'x', {after: NaN}))
+                    .to.throw('Reference value [NaN] is not found in the array.');
+            }));
+
+        it('should add many values to a large array', function () {
+            this.timeout(10000);
+            const array = [-2, -1];
+            const values = Array.from({length: 200_000}, (_, index) => index);
+
+            step('Populate array with many values at the start.', () =>
+                testTarget.addUniqueValues(array, values, 1));
+
+            step('Validate that values are inserted at the index.', () => {
+                expect(array).to.have.lengthOf(200_002);
+                expect(array.slice(0, 3)).to.deep.equal([-2, 0, 1]);
+                expect(array.slice(-2)).to.deep.equal([199_999, -1]);
+            });
+        });
+
+        it('should not add structurally equal objects with deep equality', function () {
+            const array = [{id: 1, tags: ['a'], created: new Date(0)}];
+
+            step('Populate array with an equal object and a different one.', () =>
+                testTarget.addUniqueValues(array,
+                    [{id: 1, tags: ['a'], created: new Date(0)}, {id: 1, tags: ['b'], created: new Date(0)}],
+                    'end', {equality: 'deep'}));
+
+            step('Validate that only the different object is added.', () =>
+                expect(array).to.have.lengthOf(2).and.to.deep.include({id: 1, tags: ['b'], created: new Date(0)}));
+        });
+
+        it('should not add values with equal keys', function () {
+            const array = [{id: 1, name: 'apple'}];
+
+            step('Populate array with objects compared by id.', () =>
+                testTarget.addUniqueValues(array, [{id: 1, name: 'pear'}, {id: 2, name: 'plum'}], 'end', {by: 'id'}));
+
+            step('Validate that only the object with a new id is added.', () =>
+                expect(array.map(item => item.name)).to.deep.equal(['apple', 'plum']));
+        });
+
+        it('should add NaN only once with sameValueZero equality', function () {
+            const array = [NaN];
+
+            step('Populate array with NaN using strict and default equality.', () => {
+                testTarget.addUniqueValues(array, NaN);
+                testTarget.addUniqueValues(array, NaN, 'end', {equality: 'strict'});
+            });
+
+            step('Validate that NaN is added only by strict equality.', () =>
+                expect(array).to.have.lengthOf(2));
+        });
+
+        it('should throw an error for an unknown equality', () =>
+            step('Validate that unknown equality throws an error.', () =>
+                expect(() => testTarget.addUniqueValues(testArray, 'x', 'end', {equality: 'loose'}))
+                    .to.throw("Equality must be 'strict', 'sameValueZero', 'deep' or a function.")));
+
         it('should throw an error when adding an unspecified value', () =>
             step('Validate that adding unspecified value throws an error.', () =>
                 expect(() => testTarget.addUniqueValues(testArray, []))
@@ -166,10 +286,68 @@ describe('Array', function () {
                 expect(() => testTarget.replaceWithFlatValues())
                     .to.throw('Provided array is null or empty.')));
 
+        it('should throw an error when replacing the contents of a typed array', () =>
+            step('Validate that replacing typed array contents throws an error.', () =>
+                expect(() => testTarget.replaceWithFlatValues(new Int8Array([1, 2]), [3]))
+                    .to.throw('Provided array is invalid.')));
+
         it('should throw an error when replacing an array with unspecified value.', () =>
             step('Validate that replacing an array with unspecified value to the flat array throws an error.', () =>
                 expect(() => testTarget.replaceWithFlatValues(testArray))
                     .to.throw('Provided values is null or empty.')));
+
+        it('should replace array with deeply nested values', () => {
+            step('Replace default array with nested values.', () =>
+                testTarget.replaceWithFlatValues(testArray, [1, [2, [3, [4, 'apple']]], [[['banana']]]]));
+
+            step('Validate that actual array contains all nested values flattened.', () =>
+                expect(testArray).to.deep.equal([1, 2, 3, 4, 'apple', 'banana']));
+        });
+
+        it('should replace array with nested values flattened to provided depth', () => {
+            step('Replace default array with nested values flattened one level deep.', () =>
+                testTarget.replaceWithFlatValues(testArray, [1, [2, [3]]], {depth: 1}));
+
+            step('Validate that deeper nested arrays are kept as elements.', () =>
+                expect(testArray).to.deep.equal([1, 2, [3]]));
+        });
+
+        it('should replace array with mapped flat values', () => {
+            step('Replace default array with nested values mapped by their path.', () =>
+                testTarget.replaceWithFlatValues(testArray, [['a', 'b'], ['c']],
+                    {mapper: (value, path) => `${value}@${path.join('.')}`}));
+
+            step('Validate that mapper is applied to every flattened value.', () =>
+                expect(testArray).to.deep.equal(['a@0.0', 'b@0.1', 'c@1.0']));
+        });
+
+        it('should throw an error when replacing an array with self-referencing values', () => {
+            const values = [1, [2]];
+            values[1].push(values);
+
+            step('Validate that replacing with circular values throws an error.', () =>
+                expect(() => testTarget.replaceWithFlatValues(testArray, values))
+                    .to.throw('Provided values contain a circular reference.'));
+        });
+
+        it('should round-trip nested values through flatten and unflatten', () => {
+            const nested = [1, ['apple', [2, 3]], [], [['banana']]];
+            let flatValues;
+
+            step('Flatten nested values.', () =>
+                flatValues = testTarget.flatten(nested));
+
+            step('Validate that values are flattened in order.', () =>
+                expect(flatValues).to.deep.equal([1, 'apple', 2, 3, 'banana']));
+
+            step('Validate that unflatten restores the nested structure.', () =>
+                expect(testTarget.unflatten(flatValues, nested)).to.deep.equal(nested));
+        });
+
+        it('should throw an error when unflatten values do not match the shape', () =>
+            step('Validate that unflatten with wrong values count throws an error.', () =>
+                expect(() => testTarget.unflatten([1, 2], [[0], [0, 0]]))
+                    .to.throw('Values count (2) does not match the shape size (3).')));
     });
 
     /**
@@ -205,6 +383,51 @@ describe('Array', function () {
                     'Actual array must not contain removed values.'));
         });
 
+        it('should remove all occurrences of a value', function () {
+            const array = [1, 2, 1, 3, 1];
+
+            step('Remove every occurrence of the value.', () =>
+                testTarget.removeValues(array, 1, {all: true}));
+
+            step('Validate that no occurrence is left.', () =>
+                expect(array).to.deep.equal([2, 3]));
+        });
+
+        it('should remove all occurrences of a value from a large array', function () {
+            this.timeout(10000);
+            const array = Array.from({length: 300_000}, (_, index) => index % 3);
+
+            step('Remove every occurrence of the value.', () =>
+                testTarget.removeValues(array, 0, {all: true}));
+
+            step('Validate that remaining elements keep their order.', () => {
+                expect(array).to.have.lengthOf(200_000);
+                expect(array.slice(0, 4)).to.deep.equal([1, 2, 1, 2]);
+            });
+        });
+
+        it('should remove objects by content', function () {
+            const array = [new Map([['a', 1]]), new Set([1, [2]]), {a: {b: 1}}, {a: {b: 1}}];
+
+            step('Remove structurally equal values.', () =>
+                testTarget.removeValues(array, [new Map([['a', 1]]), new Set([[2], 1]), {a: {b: 1}}],
+                    {equality: 'deep', all: true}));
+
+            step('Validate that all matching values are removed.', () =>
+                expect(array).to.be.empty);
+        });
+
+        it('should remove values with a custom equality', function () {
+            const array = ['Apple', 'banana', 'APPLE'];
+
+            step('Remove values ignoring the case.', () =>
+                testTarget.removeValues(array, 'apple',
+                    {equality: (a, b) => a.toLowerCase() === b.toLowerCase(), all: true}));
+
+            step('Validate that values in any case are removed.', () =>
+                expect(array).to.deep.equal(['banana']));
+        });
+
         it('should throw an error when removing an value from unspecified array', () =>
             step('Validate that removing an value from unspecified array throws an error.', () =>
                 expect(() => testTarget.removeValues())
@@ -272,6 +495,25 @@ describe('Array', function () {
                 expect(() => testTarget.removeByCount())
                     .to.throw('Provided array is invalid.')));
 
+        it('should remove values at positions of the array', function () {
+            const array = [1, 2, 3, 4, 5, 6];
+
+            step('Remove values at index, around reference values and in the middle.', () => {
+                testTarget.removeByCount(array, 1, -2);
+                testTarget.removeByCount(array, 1, {before: 2});
+                testTarget.removeByCount(array, 2, {after: 4});
+            });
+
+            step('Validate that only values at the positions are removed.', () =>
+                expect(array).to.deep.equal([2, 3, 4]));
+
+            step('Remove value from the middle of the array.', () =>
+                testTarget.removeByCount(array, 1, 'middle'));
+
+            step('Validate that the middle value is removed.', () =>
+                expect(array).to.deep.equal([2, 4]));
+        });
+
         it('should throw an error when removing from empty array', () =>
             step('Validate that removing with from empty array throws an error.', () =>
                 expect(() => testTarget.removeByCount([]))
@@ -287,6 +529,12 @@ describe('Array', function () {
                 expect(() => testTarget.removeByCount(testArray, 'a'))
                     .to.throw('Provided count invalid.')));
 
+        it('should throw an error when removing with non-finite count', () =>
+            step('Validate that removing with NaN or infinite count throws an error.', () => {
+                expect(() => testTarget.removeByCount(testArray, NaN)).to.throw('Provided count invalid.');
+                expect(() => testTarget.removeByCount(testArray, Infinity)).to.throw('Provided count invalid.');
+            }));
+
         it('should throw an error when removing with negative count', () =>
             step('Validate that removing with negative count throws an error.', () =>
                 expect(() => testTarget.removeByCount(testArray, -1))
@@ -295,7 +543,15 @@ describe('Array', function () {
         it('should throw an error when removing with invalid position value', () =>
             step('Validate that removing with invalid position value throws an error.', () =>
                 expect(() => testTarget.removeByCount(testArray, 1, 'abc'))
-                    .to.throw("Invalid position specified. Use 'start' or 'end'.")));
+                    .to.throw("Invalid position specified. Use 'start', 'end', 'middle', an index")));
+
+        it('should throw an error when removing or getting at the index past the last element', () =>
+            step('Validate that the array length is rejected as an index.', () => {
+                expect(() => testTarget.removeByCount([1, 2], 1, 2))
+                    .to.throw('Position index [2] is out of range.');
+                expect(() => testTarget.getElements([1, 2], 1, 2))
+                    .to.throw('Position index [2] is out of range.');
+            }));
     });
 
     /**
@@ -332,6 +588,137 @@ describe('Array', function () {
             step('Validate that array is converted to string.', () =>
                 expect(convertedArray).to.equal(testArray.join(',')));
         });
+
+        it('should convert values to numbers with strict and lenient parsing', function () {
+            const strict = [1, '2.5', ' 3 ', '0x10'];
+            const lenient = ['12px', '0x10 units', true, new Date(5), 4];
+
+            step('Convert values to numbers.', () => {
+                testTarget.convertToNumbers(strict);
+                testTarget.convertToNumbers(lenient, {parsing: 'lenient'});
+            });
+
+            step('Verify that values are converted to numbers.', () => {
+                expect(strict).to.deep.equal([1, 2.5, 3, 16]);
+                expect(lenient).to.deep.equal([12, 16, 1, 5, 4]);
+            });
+        });
+
+        it('should convert a large array to numbers', function () {
+            this.timeout(10000);
+            const array = Array.from({length: 300_000}, (_, index) => String(index));
+
+            step('Convert values to numbers.', () =>
+                testTarget.convertToNumbers(array));
+
+            step('Verify that all values are converted in place.', () => {
+                expect(array).to.have.lengthOf(300_000);
+                expect(array[299_999]).to.equal(299_999);
+            });
+        });
+
+        it('should apply NaN policy to values that cannot be converted to numbers', function () {
+            const values = [1, 'apple', '12px'];
+
+            step('Verify that NaN values are dropped or kept.', () => {
+                const dropped = [...values];
+                const kept = [...values];
+                testTarget.convertToNumbers(dropped, {nan: 'drop'});
+                testTarget.convertToNumbers(kept, {nan: 'keep'});
+
+                expect(dropped).to.deep.equal([1]);
+                expect(kept).to.deep.equal([1, NaN, NaN]);
+            });
+
+            step('Verify that NaN values throw an error by default and leave the array untouched.', () => {
+                expect(() => testTarget.convertToNumbers(values))
+                    .to.throw('Value [apple] cannot be converted to number. (index: 1)');
+                expect(values).to.deep.equal([1, 'apple', '12px']);
+            });
+
+            step('Verify that unknown policies and parsing throw an error.', () => {
+                expect(() => testTarget.convertToNumbers(values, {nan: 'skip'}))
+                    .to.throw('Invalid value policy must be one of: drop, keep, throw.');
+                expect(() => testTarget.convertToNumbers(values, {parsing: 'loose'}))
+                    .to.throw("Parsing must be 'strict' or 'lenient'.");
+            });
+        });
+
+        it('should convert values to booleans', function () {
+            const values = ['yes', 'OFF', 1, 0, false, 'maybe'];
+
+            step('Convert values to booleans keeping invalid values.', () =>
+                testTarget.convertToBooleans(values, {invalid: 'keep'}));
+
+            step('Verify that values are converted by truthy and falsy representations.', () =>
+                expect(values).to.deep.equal([true, false, true, false, false, 'maybe']));
+
+            step('Verify that invalid values throw an error by default.', () =>
+                expect(() => testTarget.convertToBooleans(['maybe']))
+                    .to.throw('Value [maybe] cannot be converted to boolean.'));
+        });
+
+        it('should convert values to dates', function () {
+            const values = [0, '1000', '2024-01-02T00:00:00.000Z', 'apple'];
+
+            step('Convert values to dates dropping invalid values.', () =>
+                testTarget.convertToDates(values, {invalid: 'drop'}));
+
+            step('Verify that values are converted to dates.', () =>
+                expect(values.map(date => date.toISOString())).to.deep.equal(
+                    ['1970-01-01T00:00:00.000Z', '1970-01-01T00:00:01.000Z', '2024-01-02T00:00:00.000Z']));
+        });
+
+        it('should report conversion failures of a schema', function () {
+            const rows = [{price: '10', active: 'yes'}, {price: 'free', active: 'no'}, {price: '5', active: 'maybe'}];
+            let report;
+
+            step('Convert records by schema.', () =>
+                report = testTarget.convertWith(rows, {price: 'number', active: 'boolean'}));
+
+            step('Verify that converted values and failures are reported.', () => {
+                expect(report.values).to.deep.equal(
+                    [{price: 10, active: true}, {price: 'free', active: false}, {price: 5, active: 'maybe'}]);
+                expect(report.failures).to.deep.equal([
+                    {index: 1, field: 'price', value: 'free', reason: 'Value [free] cannot be converted to number.'},
+                    {
+                        index: 2, field: 'active', value: 'maybe',
+                        reason: 'Value [maybe] cannot be converted to boolean.',
+                    },
+                ]);
+                expect(rows[0].price).to.equal('10', 'Provided array is modified');
+            });
+        });
+
+        it('should report conversion failures of a converter function', function () {
+            let report;
+
+            step('Convert values by converter function.', () =>
+                report = testTarget.convertWith(['1', 'x', '3'], (value, index) => {
+                    if (index === 2) throw new Error('Third value is rejected.');
+                    return Number(value);
+                }));
+
+            step('Verify that NaN results and thrown errors are reported.', () => {
+                expect(report.values).to.deep.equal([1, 'x', '3']);
+                expect(report.failures.map(({index, reason}) => [index, reason])).to.deep.equal([
+                    [1, 'Value [x] cannot be converted to the target type.'],
+                    [2, 'Third value is rejected.'],
+                ]);
+            });
+
+            step('Verify that invalid schema throws an error.', () =>
+                expect(() => testTarget.convertWith([1], 'integer')).to.throw('Conversion schema must be a type name'));
+        });
+
+        it('should validate the elements to convert by an object schema', () =>
+            step('Verify that converting primitive elements by an object schema throws an error.', () =>
+                expect(() => testTarget.convertWith([{price: '1'}, 'abc'], {price: 'number'}))
+                    .to.throw('Elements must be records when converting by an object schema.')));
+
+        it('should validate the array to convert to strings', () =>
+            step('Verify that converting invalid array throws an error.', () =>
+                expect(() => testTarget.convertToStrings('abc')).to.throw('Provided array is invalid.')));
     });
 
     /**
@@ -421,6 +808,175 @@ describe('Array', function () {
                 expect(() => testTarget.quickSort(testArray, 1))
                     .to.throw("Order must be 'asc' or 'desc'.")));
 
+        const records = [
+            {name: 'Delta', priority: 1, meta: {created: new Date('2024-03-01')}},
+            {name: 'Alpha', priority: 3, meta: {created: new Date('2024-01-15')}},
+            {name: 'Charlie', priority: 3, meta: {created: new Date('2024-02-10')}},
+            {name: 'Bravo', priority: 2, meta: {created: new Date('2024-04-20')}},
+        ];
+
+        [['bubble', testTarget.bubbleSort], ['quick', testTarget.quickSort]].forEach(([name, sortFunction]) => {
+            it(`should ${name} sort records by property path`, () => {
+                let sortedRecords = [...records];
+
+                step('Sort records by nested date property in ascending order.', () =>
+                    sortFunction(sortedRecords, {key: 'meta.created'}));
+
+                step('Verify that records are sorted by nested property.', () =>
+                    expect(sortedRecords.map(record => record.name))
+                        .to.deep.equal(['Alpha', 'Charlie', 'Delta', 'Bravo']));
+            });
+
+            it(`should ${name} sort records by multiple keys`, () => {
+                let sortedRecords = [...records];
+
+                step('Sort records by priority descending and name ascending.', () =>
+                    sortFunction(sortedRecords, {keys: [{key: 'priority', order: 'desc'}, {key: 'name'}]}));
+
+                step('Verify that records are sorted by both keys.', () =>
+                    expect(sortedRecords.map(record => record.name))
+                        .to.deep.equal(['Alpha', 'Charlie', 'Bravo', 'Delta']));
+            });
+
+            it(`should ${name} sort records with custom comparator and key extractor`, () => {
+                let sortedRecords = [...records];
+
+                step('Sort records by name length in descending order.', () =>
+                    sortFunction(sortedRecords, {
+                        order: 'desc',
+                        key: record => record.name,
+                        comparator: (a, b) => a.length - b.length || a.localeCompare(b),
+                    }));
+
+                step('Verify that records are sorted with custom comparator.', () =>
+                    expect(sortedRecords.map(record => record.name))
+                        .to.deep.equal(['Charlie', 'Delta', 'Bravo', 'Alpha']));
+            });
+
+            it(`should throw an error when comparator is invalid for ${name} sort action`, () =>
+                step(`Validate that ${name} sort action with invalid comparator throws an error.`, () =>
+                    expect(() => sortFunction([...records], {comparator: 'abc'}))
+                        .to.throw('Provided comparator is not a function.')));
+        });
+
+        Object.keys(testTarget.SORT_ALGORITHMS).forEach((algorithm) => {
+            it(`should sort the array in ascending order with ${algorithm} algorithm`, () => {
+                step('Populate array with custom values and remove previous.', () =>
+                    testTarget.replaceWithFlatValues(testArray, [10, "apple", 5, "banana", "3", 7]));
+
+                step(`Sort array in ascending order with ${algorithm} algorithm.`, () => {
+                    testTarget.sort(testArray, {algorithm});
+                    testTarget.logArray(testArray, "Print sorted array:");
+                });
+
+                step('Verify that array is sorted in ascending order.', () =>
+                    expect(testArray).to.deep.equal(["3", 5, 7, 10, "apple", "banana"]));
+            });
+
+            it(`should sort the array in descending order with ${algorithm} algorithm`, () => {
+                step('Populate array with custom values and remove previous.', () =>
+                    testTarget.replaceWithFlatValues(testArray, [10, "apple", 5, "banana", "3", 7]));
+
+                step(`Sort array in descending order with ${algorithm} algorithm.`, () => {
+                    testTarget.sort(testArray, {algorithm, order: 'desc'});
+                    testTarget.logArray(testArray, "Print sorted array:");
+                });
+
+                step('Verify that array is sorted in descending order.', () =>
+                    expect(testArray).to.deep.equal(["banana", "apple", 10, 7, 5, "3"]));
+            });
+
+            it(`should throw an error when array is empty for ${algorithm} sort action`, () =>
+                step(`Validate that ${algorithm} sort action with empty array throws an error.`, () =>
+                    expect(() => testTarget.sort([], {algorithm}))
+                        .to.throw('Provided array is null or empty.')));
+        });
+
+        ['merge', 'insertion'].forEach((algorithm) => {
+            it(`${algorithm} sort should keep the original order of equal elements`, () => {
+                let sortedRecords = [...records];
+
+                step(`Sort records by priority with ${algorithm} algorithm.`, () =>
+                    testTarget.sort(sortedRecords, {algorithm, key: 'priority'}));
+
+                step('Verify that records with equal priority keep their original order.', () =>
+                    expect(sortedRecords.map(record => record.name))
+                        .to.deep.equal(['Delta', 'Bravo', 'Alpha', 'Charlie']));
+            });
+        });
+
+        const date = new Date('2024-01-01');
+        const mixedValues = [true, 'banana', null, date, 2n, 'Apple', undefined, 10, NaN, '3', {id: 1}, false, -1];
+
+        Object.keys(testTarget.SORT_ALGORITHMS).forEach((algorithm) => {
+            it(`should sort mixed types in a total order with ${algorithm} algorithm`, () => {
+                let sortedValues = [...mixedValues];
+
+                step(`Sort mixed values in ascending order with ${algorithm} algorithm.`, () =>
+                    testTarget.sort(sortedValues, {algorithm}));
+
+                step('Verify that values are ordered by type and then by value.', () =>
+                    expect(sortedValues).to.deep.equal(
+                        [-1, 2n, '3', 10, NaN, 'Apple', 'banana', false, true, date, {id: 1}, null, undefined]));
+            });
+
+            it(`should place nulls first in descending order with ${algorithm} algorithm`, () => {
+                let sortedValues = [3, null, 'b', undefined, 1, 'a'];
+
+                step(`Sort values in descending order with nulls first with ${algorithm} algorithm.`, () =>
+                    testTarget.sort(sortedValues, {algorithm, order: 'desc', nulls: 'first'}));
+
+                step('Verify that nullish values are placed first.', () =>
+                    expect(sortedValues).to.deep.equal([null, undefined, 'b', 'a', 3, 1]));
+            });
+        });
+
+        it('should sort strings with numeric collation', () => {
+            let sortedValues = ['item10', 'item2', 'item1'];
+
+            step('Sort values with numeric collation.', () =>
+                testTarget.quickSort(sortedValues, {numeric: true}));
+
+            step('Verify that numeric parts are compared as numbers.', () =>
+                expect(sortedValues).to.deep.equal(['item1', 'item2', 'item10']));
+        });
+
+        it('should treat strings differing only by case as equal when case insensitive', () => {
+            let sortedValues = ['b', 'A', 'a', 'B'];
+
+            step('Sort values case insensitively with a stable algorithm.', () =>
+                testTarget.mergeSort(sortedValues, {caseSensitive: false}));
+
+            step('Verify that strings differing only by case keep their original order.', () =>
+                expect(sortedValues).to.deep.equal(['A', 'a', 'b', 'B']));
+        });
+
+        it('should sort objects without a string conversion', () => {
+            const bare = Object.assign(Object.create(null), {id: 1});
+            let sortedValues = [{id: 2}, bare, 1];
+
+            step('Sort values including an object without prototype with a stable algorithm.', () =>
+                testTarget.mergeSort(sortedValues));
+
+            step('Verify that objects with equal string representations keep their original order.', () =>
+                expect(sortedValues).to.deep.equal([1, {id: 2}, bare]));
+        });
+
+        it('should throw an error for unknown sort options', () =>
+            step('Validate that misspelled sort options throw an error.', () =>
+                expect(() => testTarget.sort(testArray, {order: 'asc', caseSensitve: false, nul: 'first'}))
+                    .to.throw('Unknown sort options: caseSensitve, nul.')));
+
+        it('should throw an error when nulls placement is invalid for sort action', () =>
+            step('Validate that sort action with invalid nulls placement throws an error.', () =>
+                expect(() => testTarget.sort(testArray, {nulls: 'middle'}))
+                    .to.throw("Nulls placement must be 'first' or 'last'.")));
+
+        it('should throw an error when algorithm is invalid for sort action', () =>
+            step('Validate that sort action with invalid algorithm throws an error.', () =>
+                expect(() => testTarget.sort(testArray, {algorithm: 'abc'}))
+                    .to.throw('Invalid algorithm specified. Use one of: bubble, quick, merge, heap, insertion.')));
+
         it('quick sort should be faster than bubble sort in ascending mode', () => {
             let count = 5000;
             let generatedValues;
@@ -486,6 +1042,157 @@ describe('Array', function () {
                 expect(bubbleSortExecutionTime).to.be.greaterThan(quickSortExecutionTime)
             });
         });
+
+        [
+            {title: 'random numbers', generate: () => Math.floor(Math.random() * 1_000_000)},
+            {title: 'numbers with many duplicates', generate: () => Math.floor(Math.random() * 10)},
+            {title: 'already sorted numbers', generate: (index) => index},
+            {title: 'alternating sign numbers', generate: (index) => index % 2 ? index : -index},
+        ].forEach(({title, generate}) => {
+            it(`quick sort should sort millions of ${title} without stack overflow`, function () {
+                this.timeout(30000);
+
+                let count = 1_000_000;
+                let quickSortExecutionTime;
+
+                step(`Generate test ${count} values.`, () =>
+                    testArray = Array.from({length: count}, (_, index) => generate(index)));
+
+                step('Measure quick sort execution time in ascending mode.', () =>
+                    quickSortExecutionTime = measureExecutionTime(testTarget.quickSort, testArray).executionTime);
+
+                step('Verify that large array is sorted in ascending order.', () => {
+                    logWithTimestamp(colors.Yellow(
+                        `Quick sort duration for ${count} values: ${colors.YellowBold(quickSortExecutionTime)}ms`),
+                        'custom');
+
+                    expect(testArray).to.have.lengthOf(count);
+                    expect(testArray.every((value, index) => index === 0 || testArray[index - 1] <= value),
+                        'Large array is not sorted in ascending order').to.be.true;
+                });
+            });
+        });
+
+        it('should count comparisons and swaps of instrumented bubble sort', () => {
+            const values = [5, 1, 4, 2, 8, 3];
+            const inversions = values.reduce((count, value, index) =>
+                count + values.slice(index + 1).filter(other => other < value).length, 0);
+            let metrics;
+
+            step('Sort instrumented array.', () =>
+                metrics = testTarget.bubbleSort(values, {instrument: true}));
+
+            step('Verify that counters match the algorithm complexity.', () => {
+                expect(values).to.deep.equal([1, 2, 3, 4, 5, 8]);
+                expect(metrics).to.deep.equal({
+                    comparisons: values.length * (values.length - 1) / 2,
+                    swaps: inversions,
+                    moves: 0,
+                    recursionDepth: 0,
+                });
+            });
+        });
+
+        it('should report recursion depth, moves and merge passes of instrumented sorts', () => {
+            const values = Array.from({length: 100}, (_, index) => (index * 37) % 100);
+            let quick, insertion, merge, plain;
+
+            step('Sort copies of the array with different algorithms.', () => {
+                quick = testTarget.quickSort([...values], {instrument: true});
+                insertion = testTarget.insertionSort([...values], {instrument: true});
+                merge = testTarget.sort([...values], {algorithm: 'merge', instrument: true});
+                plain = testTarget.quickSort([...values]);
+            });
+
+            step('Verify that counters of every algorithm are reported.', () => {
+                expect(quick.recursionDepth).to.be.greaterThan(0);
+                expect(quick.comparisons).to.be.greaterThan(0);
+                expect(insertion.moves).to.be.greaterThan(0);
+                expect(insertion.swaps).to.equal(0);
+                expect(merge.recursionDepth).to.equal(Math.ceil(Math.log2(values.length)));
+                // Every pass writes each element once; an odd number of passes copies the result back once more.
+                expect(merge.moves).to.equal((merge.recursionDepth + merge.recursionDepth % 2) * values.length);
+                expect(plain).to.be.undefined;
+            });
+        });
+
+        it('should record a replayable trace of swaps', () => {
+            const values = [3, 1, 2];
+            let metrics;
+
+            step('Sort traced array.', () =>
+                metrics = testTarget.bubbleSort(values, {instrument: {trace: true}}));
+
+            step('Verify that every swap is recorded with the array state.', () => {
+                expect(metrics.trace).to.have.lengthOf(metrics.swaps);
+                expect(metrics.trace[0]).to.deep.equal({action: 'swap', indices: [0, 1], array: [1, 3, 2]});
+                expect(metrics.trace.at(-1).array).to.deep.equal([1, 2, 3]);
+            });
+
+            step('Verify that trace can be replayed.', () =>
+                expect(() => testTarget.replaySortTrace(metrics.trace)).to.not.throw());
+        });
+
+        it('should instrument typed arrays instead of sorting them natively', () => {
+            const values = new Int32Array([3, -1, 2]);
+            let metrics;
+
+            step('Sort instrumented typed array.', () =>
+                metrics = testTarget.sort(values, {algorithm: 'heap', order: 'desc', instrument: true}));
+
+            step('Verify that typed array is sorted by the selected algorithm.', () => {
+                expect(Array.from(values)).to.deep.equal([3, 2, -1]);
+                expect(metrics.comparisons).to.be.greaterThan(0);
+            });
+        });
+
+        it('should throw an error for invalid instrumentation options', () =>
+            step('Verify that function throws an error for invalid instrumentation.', () =>
+                expect(() => testTarget.quickSort([2, 1], {instrument: 'yes'}))
+                    .to.throw('Instrumentation must be a boolean or an object of instrumentation options.')));
+    });
+
+    /**
+     * @description Tests the immutable counterparts of the in-place functions
+     * @category Immutable Operations
+     */
+    describe(testGroupsNames.immutable, function () {
+        const initialValues = [10, 'apple', 5, 'banana', '3', 7];
+
+        [
+            {name: 'addUniqueValues', args: [[1, 'kiwi']], expected: [...initialValues, 1, 'kiwi']},
+            {name: 'replaceWithFlatValues', args: [[1, 2]], expected: [1, 2]},
+            {name: 'removeValues', args: [['apple', 7]], expected: [10, 5, 'banana', '3']},
+            {name: 'removeByCount', args: [2, 'end'], expected: [10, 'apple', 5, 'banana']},
+            {name: 'convertToStrings', args: [], expected: ['10', 'apple', '5', 'banana', '3', '7']},
+            {name: 'bubbleSort', args: ['desc'], expected: ['banana', 'apple', 10, 7, 5, '3']},
+            {name: 'quickSort', args: [], expected: ['3', 5, 7, 10, 'apple', 'banana']},
+            {name: 'mergeSort', args: [], expected: ['3', 5, 7, 10, 'apple', 'banana']},
+            {name: 'heapSort', args: [], expected: ['3', 5, 7, 10, 'apple', 'banana']},
+            {name: 'insertionSort', args: [], expected: ['3', 5, 7, 10, 'apple', 'banana']},
+            {name: 'sort', args: [{algorithm: 'merge', order: 'desc'}], expected: ['banana', 'apple', 10, 7, 5, '3']},
+        ].forEach(({name, args, expected}) => {
+            it(`immutable ${name} should return a new array and leave the input untouched`, () => {
+                let input = [...initialValues];
+                let result;
+
+                step(`Apply immutable ${name} to the array.`, () =>
+                    result = testTarget.immutable[name](input, ...args));
+
+                step('Verify that the result contains the modified values.', () =>
+                    expect(result).to.deep.equal(expected));
+
+                step('Verify that the input array is not modified.', () => {
+                    expect(result).to.not.equal(input);
+                    expect(input).to.deep.equal(initialValues);
+                });
+            });
+        });
+
+        it('immutable operations should keep the validation of in-place operations', () =>
+            step('Validate that immutable operation with invalid array throws an error.', () =>
+                expect(() => testTarget.immutable.removeByCount('a', 1))
+                    .to.throw('Provided array is invalid.')));
     });
 
     /**
@@ -519,6 +1226,29 @@ describe('Array', function () {
                 expect(testTarget.getElementByValue(testArray, expectedValue)).to.be.undefined);
         });
 
+        it('should return element matching by content', () => {
+            const stored = {id: 7, profile: {name: 'Ann'}};
+            const array = [{id: 1}, stored];
+
+            step(`Verify that returns stored element for an equal object and key.`, () => {
+                expect(testTarget.getElementByValue(array, {id: 7, profile: {name: 'Ann'}}, {equality: 'deep'}))
+                    .to.equal(stored);
+                expect(testTarget.getElementByValue(array, {profile: {name: 'Ann'}}, {by: 'profile.name'}))
+                    .to.equal(stored);
+                expect(testTarget.getElementByValue(array, {id: 7})).to.be.undefined;
+            });
+        });
+
+        it('should compare cyclic structures with deep equality', () => {
+            const first = {name: 'node'};
+            const second = {name: 'node'};
+            first.self = first;
+            second.self = second;
+
+            step(`Verify that cyclic structures are matched.`, () =>
+                expect(testTarget.getElementByValue([first], second, {equality: 'deep'})).to.equal(first));
+        });
+
         it('should throw an error when element is not provided', () =>
             step(`Verify that throws an error.`, () =>
                 expect(() => testTarget.getElementByValue(testArray)).to.throw('Element is required.')));
@@ -741,6 +1471,285 @@ describe('Array', function () {
             step(`Verify that filer by custom condition with invalid condition throws an error`, () =>
                 expect(() => testTarget.filterByCondition(testArray, 123))
                     .to.throw('Provided argument is not a function')));
+
+        const queryValues = [1, 'apple', 5, 'bananas', -3, 'kiwi', 8, 'cherries', 0];
+
+        it('should filter elements with composed query', () => {
+            let actualValues;
+
+            step('Query numbers greater than 3 or strings longer than 5.', () =>
+                actualValues = testTarget.query(queryValues)
+                    .numbers().greaterThan(3)
+                    .or(q => q.strings().longerThan(5))
+                    .toArray());
+
+            step('Verify that extracted values matches composed condition.', () =>
+                expect(actualValues).to.deep.equal([5, 'bananas', 8, 'cherries']));
+        });
+
+        it('should filter elements with negated query', () =>
+            step('Verify that query excludes elements matching negated sub-query.', () =>
+                expect(testTarget.query(queryValues).strings().not(q => q.shorterThan(6)).toArray())
+                    .to.deep.equal(['bananas', 'cherries'])));
+
+        it('should evaluate query lazily in a single pass', () => {
+            let evaluated = [];
+            let firstValue;
+
+            step('Query first positive number with a tracking condition.', () =>
+                firstValue = testTarget.query(queryValues)
+                    .where(item => evaluated.push(item) > 0, 'tracked')
+                    .positive()
+                    .first());
+
+            step('Verify that evaluation stopped at the first match.', () => {
+                expect(firstValue).to.equal(1);
+                expect(evaluated).to.deep.equal([1]);
+            });
+        });
+
+        it('should explain composed query predicate', () =>
+            step('Verify that explained predicate describes composed conditions.', () =>
+                expect(testTarget.query(queryValues)
+                    .numbers().greaterThan(3)
+                    .or(q => q.strings().longerThan(5))
+                    .not(q => q.where(item => item === 8, 'is 8'))
+                    .explain())
+                    .to.equal('((is number AND > 3) OR (is string AND length > 5)) AND NOT is 8')));
+
+        it('should throw an error when query sub-query is invalid', () =>
+            step('Verify that composing query with invalid sub-query throws an error.', () =>
+                expect(() => testTarget.query(queryValues).or(() => 'abc'))
+                    .to.throw('Provided sub-query is not a valid query.')));
+    });
+
+    /**
+     * @description Tests the grouping functions
+     * @category Grouping
+     */
+    describe(testGroupsNames.group, function () {
+        const values = [1, 'apple', 2, 'banana', 3, 'cherry', 4];
+
+        it('should group elements by key', () => {
+            let groups;
+
+            step('Group values by their type.', () =>
+                groups = testTarget.groupBy(values, item => typeof item));
+
+            step('Verify that values are grouped by type in order of appearance.', () =>
+                expect([...groups])
+                    .to.deep.equal([['number', [1, 2, 3, 4]], ['string', ['apple', 'banana', 'cherry']]]));
+        });
+
+        it('should partition elements by predicate', () => {
+            let matching;
+            let rest;
+
+            step('Partition values into even numbers and the rest.', () =>
+                [matching, rest] = testTarget.partition(values, item => typeof item === 'number' && item % 2 === 0));
+
+            step('Verify that values are split by predicate.', () => {
+                expect(matching).to.deep.equal([2, 4]);
+                expect(rest).to.deep.equal([1, 'apple', 'banana', 3, 'cherry']);
+            });
+        });
+
+        it('should count elements by key', () =>
+            step('Verify that values are counted by type.', () =>
+                expect([...testTarget.countBy(values, item => typeof item)])
+                    .to.deep.equal([['number', 4], ['string', 3]])));
+
+        it('should bucket numbers into fixed-width bins', () =>
+            step('Verify that numbers are counted into fixed-width bins.', () =>
+                expect(testTarget.histogram([3, 'apple', 7, 12, 15, 20, NaN], {width: 5})).to.deep.equal([
+                    {start: 0, end: 5, count: 1},
+                    {start: 5, end: 10, count: 1},
+                    {start: 10, end: 15, count: 1},
+                    {start: 15, end: 20, count: 1},
+                    {start: 20, end: 25, count: 1},
+                ])));
+
+        it('should bucket numbers into custom bins', () =>
+            step('Verify that numbers are counted into custom bins and outliers are skipped.', () =>
+                expect(testTarget.histogram([-5, 0, 9, 10, 49, 100, 150], {bins: [0, 10, 50, 100]})).to.deep.equal([
+                    {start: 0, end: 10, count: 2},
+                    {start: 10, end: 50, count: 2},
+                    {start: 50, end: 100, count: 1},
+                ])));
+
+        it('should throw an error when histogram options are ambiguous', () =>
+            step('Validate that histogram with both width and bins throws an error.', () =>
+                expect(() => testTarget.histogram(values, {width: 5, bins: [0, 5]}))
+                    .to.throw("Provide either 'width' or 'bins'.")));
+
+        it('should throw an error when histogram width produces too many bins', () =>
+            step('Validate that histogram with a tiny width throws an error.', () =>
+                expect(() => testTarget.histogram([0, 1e9], {width: 1}))
+                    .to.throw('Bin width [1] produces 1000000001 bins, more than the maximum of 10000.')));
+
+        it('should split array into chunks', () =>
+            step('Verify that array is split into chunks of the given size.', () =>
+                expect(testTarget.chunk(values, 3)).to.deep.equal([[1, 'apple', 2], ['banana', 3, 'cherry'], [4]])));
+
+        it('should create sliding windows over array', () =>
+            step('Verify that complete windows are created with the given step.', () =>
+                expect(testTarget.slidingWindow(values, 3, 2))
+                    .to.deep.equal([[1, 'apple', 2], [2, 'banana', 3], [3, 'cherry', 4]])));
+
+        it('should throw an error when chunk size is not an integer', () =>
+            step('Validate that chunk with fractional size throws an error.', () =>
+                expect(() => testTarget.chunk(values, 1.5))
+                    .to.throw('Provided size must be an integer.')));
+
+        it('should throw an error when key function is invalid', () =>
+            step('Validate that group by with invalid key function throws an error.', () =>
+                expect(() => testTarget.groupBy(values, 'abc'))
+                    .to.throw('Provided key function is not a function.')));
+    });
+
+    /**
+     * @description Tests the set operations
+     * @category Set Operations
+     */
+    describe(testGroupsNames.sets, function () {
+        const first = [1, 2, '3', 'apple', 2];
+        const second = ['1', 3, 'apple', 'kiwi'];
+
+        it('should create union of arrays in strict mode', () =>
+            step('Verify that union contains distinct members of both arrays.', () =>
+                expect(testTarget.union(first, second)).to.deep.equal([1, 2, '3', 'apple', '1', 3, 'kiwi'])));
+
+        it('should create union of arrays in loose mode', () =>
+            step('Verify that union treats values with the same string representation as equal.', () =>
+                expect(testTarget.union(first, second, {mode: 'loose'}))
+                    .to.deep.equal([1, 2, '3', 'apple', 'kiwi'])));
+
+        it('should create intersection of arrays', () => {
+            step('Verify that strict intersection contains only identical members.', () =>
+                expect(testTarget.intersection(first, second)).to.deep.equal(['apple']));
+
+            step('Verify that loose intersection contains members with equal string representation.', () =>
+                expect(testTarget.intersection(first, second, {mode: 'loose'})).to.deep.equal([1, '3', 'apple']));
+        });
+
+        it('should create difference of arrays', () =>
+            step('Verify that difference contains distinct members missing from the second array.', () =>
+                expect(testTarget.difference(first, second)).to.deep.equal([1, 2, '3'])));
+
+        it('should create symmetric difference of arrays', () =>
+            step('Verify that symmetric difference contains members present in exactly one array.', () =>
+                expect(testTarget.symmetricDifference(first, second, {mode: 'loose'})).to.deep.equal([2, 'kiwi'])));
+
+        it('should apply set operations on arrays of objects by key', () => {
+            const users = [{id: 1, name: 'Ann'}, {id: 2, name: 'Bob'}];
+            const admins = [{id: 2, name: 'Bob'}, {id: 3, name: 'Eve'}];
+
+            step('Verify that intersection matches objects by key extractor.', () =>
+                expect(testTarget.intersection(users, admins, {by: 'id'})).to.deep.equal([{id: 2, name: 'Bob'}]));
+
+            step('Verify that union matches objects by custom equality.', () =>
+                expect(testTarget.union(users, admins, {equals: (a, b) => a.name === b.name}).map(user => user.id))
+                    .to.deep.equal([1, 2, 3]));
+        });
+
+        it('should check subset and disjoint relations', () => {
+            step('Verify that subset relation respects matching mode.', () => {
+                expect(testTarget.isSubset([1, 'apple'], second)).to.be.false;
+                expect(testTarget.isSubset([1, 'apple'], second, {mode: 'loose'})).to.be.true;
+            });
+
+            step('Verify that disjoint relation respects matching mode.', () => {
+                expect(testTarget.isDisjoint([1, 2], second)).to.be.true;
+                expect(testTarget.isDisjoint([1, 2], second, {mode: 'loose'})).to.be.false;
+            });
+        });
+
+        it('should throw an error when set mode is invalid', () =>
+            step('Validate that set operation with invalid mode throws an error.', () =>
+                expect(() => testTarget.union(first, second, {mode: 'abc'}))
+                    .to.throw("Mode must be 'strict' or 'loose'.")));
+
+        it('should throw an error when other array is invalid', () =>
+            step('Validate that set operation with invalid other array throws an error.', () =>
+                expect(() => testTarget.difference(first, 'abc'))
+                    .to.throw('Provided other array is invalid.')));
+    });
+
+    /**
+     * @description Tests the deduplication functions
+     * @category Deduplication
+     */
+    describe(testGroupsNames.dedupe, function () {
+        const values = [1, 'apple', '1', 2, 'apple', 1, 2, 2];
+
+        it('should remove duplicates keeping the first or last occurrence', () => {
+            step('Verify that first occurrences are kept by default.', () =>
+                expect(testTarget.unique(values)).to.deep.equal([1, 'apple', '1', 2]));
+
+            step('Verify that last occurrences are kept in their positions.', () =>
+                expect(testTarget.unique(values, {keep: 'last'})).to.deep.equal(['1', 'apple', 1, 2]));
+
+            step('Verify that loose mode treats values with the same string representation as duplicates.', () =>
+                expect(testTarget.unique(values, {mode: 'loose'})).to.deep.equal([1, 'apple', 2]));
+        });
+
+        it('should compare objects by structure in loose mode', () => {
+            const objects = [{id: 1, tags: ['a']}, {id: 2}, {tags: ['a'], id: '1'}, [1, 2], ['1', '2'], '1,2'];
+
+            step('Verify that loose mode treats objects with the same structure as duplicates.', () =>
+                expect(testTarget.unique(objects, {mode: 'loose'}))
+                    .to.deep.equal([{id: 1, tags: ['a']}, {id: 2}, [1, 2], '1,2']));
+
+            step('Verify that loose mode keeps the last of objects with the same structure.', () =>
+                expect(testTarget.unique(objects, {mode: 'loose', keep: 'last'}))
+                    .to.deep.equal([{id: 2}, {tags: ['a'], id: '1'}, ['1', '2'], '1,2']));
+        });
+
+        it('should remove duplicated objects by key', () => {
+            const users = [{id: 1, name: 'Ann'}, {id: 2, name: 'Bob'}, {id: 1, name: 'Ann B.'}];
+
+            step('Verify that objects are deduplicated by key extractor.', () =>
+                expect(testTarget.unique(users, {by: 'id', keep: 'last'}).map(user => user.name))
+                    .to.deep.equal(['Bob', 'Ann B.']));
+        });
+
+        it('should find duplicated elements', () => {
+            step('Verify that every repeated element is returned once.', () =>
+                expect(testTarget.duplicates(values)).to.deep.equal([1, 'apple', 2]));
+
+            step('Verify that array without repeated elements has no duplicates.', () =>
+                expect(testTarget.duplicates([1, '1'])).to.be.empty);
+        });
+
+        it('should count element frequencies', () => {
+            step('Verify that strict frequencies count values of each type separately.', () =>
+                expect([...testTarget.frequencies(values)])
+                    .to.deep.equal([[1, 2], ['apple', 2], ['1', 1], [2, 3]]));
+
+            step('Verify that loose frequencies are keyed by the first occurrence.', () =>
+                expect([...testTarget.frequencies(values, {mode: 'loose'})])
+                    .to.deep.equal([[1, 3], ['apple', 2], [2, 3]]));
+        });
+
+        it('should find the most common elements', () => {
+            step('Verify that the most frequent element is returned by default.', () =>
+                expect(testTarget.mostCommon(values)).to.deep.equal([[2, 3]]));
+
+            step('Verify that elements with equal counts keep their order of first appearance.', () =>
+                expect(testTarget.mostCommon(values, 3, {mode: 'loose'}))
+                    .to.deep.equal([[1, 3], [2, 3], ['apple', 2]]));
+        });
+
+        it('should throw an error for invalid deduplication options', () => {
+            step('Validate that invalid keep option throws an error.', () =>
+                expect(() => testTarget.unique(values, {keep: 'middle'})).to.throw("Keep must be 'first' or 'last'."));
+
+            step('Validate that invalid count throws an error.', () =>
+                expect(() => testTarget.mostCommon(values, 1.5)).to.throw('Provided count must be an integer.'));
+
+            step('Validate that invalid array throws an error.', () =>
+                expect(() => testTarget.duplicates('abc')).to.throw('Provided array is invalid.'));
+        });
     });
 
     /**
@@ -830,5 +1839,377 @@ describe('Array', function () {
                     'Actual sum value is doesnt match with expected');
             });
         });
+
+        it('should return descriptive statistics of the numbers from the array', () => {
+            let stats;
+
+            step('Populate array with custom values and remove previous.', () =>
+                testTarget.replaceWithFlatValues(testArray, [2, 4, 'apple', 4, 4, 5, 5, NaN, 7, 9]));
+
+            step('Calculate statistics of the array.', () => {
+                stats = testTarget.calculateStats(testArray, {percentiles: [0, 25, 90, 100]});
+                logWithTimestamp(`Actual statistics: ${JSON.stringify(stats)}`, 'info');
+            });
+
+            step('Verify that statistics match with expected', () => {
+                expect(stats).to.include({
+                    count: 8, ignored: 2, sum: 40, min: 2, max: 9, range: 7, average: 5, median: 4.5,
+                    variance: 4, standardDeviation: 2,
+                });
+                expect(stats.modes).to.deep.equal([4]);
+                expect(stats.sampleVariance).to.be.closeTo(32 / 7, 1e-12);
+                expect(stats.sampleStandardDeviation).to.be.closeTo(Math.sqrt(32 / 7), 1e-12);
+                expect(stats.percentiles).to.deep.equal({0: 2, 25: 4, 90: 7.6, 100: 9});
+            });
+        });
+
+        it('should return every mode when several values are equally frequent', () => {
+            step('Populate array with custom values and remove previous.', () =>
+                testTarget.replaceWithFlatValues(testArray, [3, 1, 3, 1, 2]));
+
+            step('Verify that all most frequent values are returned.', () =>
+                expect(testTarget.calculateStats(testArray).modes).to.deep.equal([1, 3]));
+        });
+
+        it('should return empty statistics when array contains no numbers', () => {
+            step('Populate array with custom values and remove previous.', () =>
+                testTarget.replaceWithFlatValues(testArray, ['apple', 'banana']));
+
+            step('Verify that numeric statistics are null.', () =>
+                expect(testTarget.calculateStats(testArray)).to.deep.equal({
+                    count: 0, ignored: 2, sum: 0, min: null, max: null, range: null, average: null, median: null,
+                    modes: null, variance: null, sampleVariance: null, standardDeviation: null,
+                    sampleStandardDeviation: null, percentiles: null,
+                }));
+        });
+
+        it('should return empty statistics for an empty array', () =>
+            step('Verify that statistics of an empty array are null except counters.', () =>
+                expect(testTarget.calculateStats([]))
+                    .to.include({count: 0, ignored: 0, sum: 0, min: null, variance: null})));
+
+        it('should skip non-finite numbers when calculating statistics', () =>
+            step('Verify that infinite values are ignored instead of making the variance NaN.', () =>
+                expect(testTarget.calculateStats([1, Infinity, 3, -Infinity, NaN]))
+                    .to.include({count: 2, ignored: 3, sum: 4, min: 1, max: 3, variance: 1})));
+
+        it('should calculate statistics of very large arrays', function () {
+            this.timeout(10000);
+
+            let count = 1_000_000;
+            let stats;
+
+            step(`Generate test ${count} values.`, () =>
+                testArray = Array.from({length: count}, (_, index) => index + 1));
+
+            step('Calculate statistics of the large array.', () =>
+                stats = testTarget.calculateStats(testArray));
+
+            step('Verify that statistics match with expected', () =>
+                expect(stats).to.include({count, min: 1, max: count, median: (count + 1) / 2}));
+        });
+
+        it('should throw an error when percentiles are invalid', () =>
+            step('Validate that calculating statistics with invalid percentiles throws an error.', () =>
+                expect(() => testTarget.calculateStats(testArray, {percentiles: [150]}))
+                    .to.throw('Percentiles must be numbers between 0 and 100.')));
+    });
+
+    /**
+     * @description Tests the support of typed arrays
+     * @category Typed Arrays
+     */
+    describe(testGroupsNames.typed, function () {
+        it('should sort typed arrays natively and by algorithm', () => {
+            const ascending = new Float64Array([3.5, -1, NaN, 10, 0]);
+            const descending = new Int32Array([3, -1, 10, 0]);
+            const byKey = new Int16Array([-3, 2, -1]);
+            const bubbled = new Uint8Array([5, 1, 4]);
+
+            step('Sort typed arrays.', () => {
+                testTarget.sort(ascending);
+                testTarget.sort(descending, 'desc');
+                testTarget.sort(byKey, {key: (value) => Math.abs(value)});
+                testTarget.bubbleSort(bubbled);
+            });
+
+            step('Verify that typed arrays are sorted in place.', () => {
+                expect([...ascending]).to.deep.equal([-1, 0, 3.5, 10, NaN]);
+                expect([...descending]).to.deep.equal([10, 3, 0, -1]);
+                expect([...byKey]).to.deep.equal([-1, 2, -3]);
+                expect([...bubbled]).to.deep.equal([1, 4, 5]);
+            });
+        });
+
+        it('should sort typed arrays natively when calling an algorithm directly', () => {
+            const values = new Int32Array([3, -1, 10, 0]);
+            let logs;
+
+            step('Sort typed array by quick sort.', () =>
+                logs = captureLogs(() => testTarget.quickSort(values, 'desc')));
+
+            step('Verify that the native sort is used.', () => {
+                expect([...values]).to.deep.equal([10, 3, 0, -1]);
+                expect(logs.join('\n')).to.include('Native typed array sort in desc mode is triggered')
+                    .and.not.include('Quick sort action');
+            });
+        });
+
+        it('should filter typed arrays into typed arrays of the same type', () => {
+            const values = new Float32Array([1.5, -2, 8, -0.5]);
+
+            step('Verify that filters return typed arrays with matching values.', () => {
+                expect(testTarget.filterNumbers(values)).to.be.instanceOf(Float32Array).and.have.lengthOf(4);
+                expect(testTarget.filterNumbersGreaterThan(values, 1)).to.deep.equal(new Float32Array([1.5, 8]));
+                expect(testTarget.filterNegativeNumbers(values)).to.deep.equal(new Float32Array([-2, -0.5]));
+            });
+
+            step('Verify that filtering an empty typed array throws an error.', () =>
+                expect(() => testTarget.filterNumbers(new Float64Array(0))).to.throw('Array is empty.'));
+        });
+
+        it('should retrieve elements of typed arrays by position', () => {
+            const values = new Int16Array([1, 2, 3, 4, 5]);
+
+            step('Verify that elements are retrieved as typed arrays.', () => {
+                expect(testTarget.getElements(values, 2, 'end')).to.deep.equal(new Int16Array([4, 5]));
+                expect(testTarget.getElements(values, 2, {after: 1})).to.deep.equal(new Int16Array([2, 3]));
+            });
+        });
+
+        it('should calculate statistics of typed arrays', () => {
+            let stats;
+
+            step('Calculate statistics of a typed array.', () =>
+                stats = testTarget.calculateStats(new Float64Array([4, NaN, 1, 3, 2])));
+
+            step('Verify that statistics match with expected', () =>
+                expect(stats).to.include({count: 4, ignored: 1, sum: 10, min: 1, max: 4, median: 2.5}));
+        });
+
+        it('should return new typed arrays when adding or removing values', () => {
+            const values = new Int32Array([1, 2, 3]);
+            let added;
+            let removed;
+            let removedByCount;
+
+            step('Add and remove values of a typed array.', () => {
+                added = testTarget.addUniqueValues(values, [3, 4], 'start');
+                removed = testTarget.removeValues(values, 2);
+                removedByCount = testTarget.removeByCount(values, 2, 'end');
+            });
+
+            step('Verify that new typed arrays are returned and the provided one is untouched.', () => {
+                expect(added).to.deep.equal(new Int32Array([4, 1, 2, 3]));
+                expect(removed).to.deep.equal(new Int32Array([1, 3]));
+                expect(removedByCount).to.deep.equal(new Int32Array([1]));
+                expect(values).to.deep.equal(new Int32Array([1, 2, 3]));
+            });
+
+            step('Verify that values of another type throw an error.', () => {
+                expect(() => testTarget.addUniqueValues(values, 'apple'))
+                    .to.throw('Values of Int32Array must be of type number.');
+                expect(() => testTarget.addUniqueValues(new BigInt64Array(1), 1))
+                    .to.throw('Values of BigInt64Array must be of type bigint.');
+            });
+        });
+
+        it('should apply immutable operations to copies of typed arrays', () => {
+            const values = new Uint16Array([3, 1, 2]);
+
+            step('Verify that immutable operations return new typed arrays.', () => {
+                expect(testTarget.immutable.sort(values)).to.deep.equal(new Uint16Array([1, 2, 3]));
+                expect(testTarget.immutable.addUniqueValues(values, 4)).to.deep.equal(new Uint16Array([3, 1, 2, 4]));
+                expect(values).to.deep.equal(new Uint16Array([3, 1, 2]));
+            });
+        });
+    });
+
+    /**
+     * @description Tests the functions working on sorted arrays
+     * @category Sorted Arrays
+     */
+    describe(testGroupsNames.sorted, function () {
+        const sortedValues = [1, 3, 3, 3, 7, '10', 'apple', 'kiwi'];
+
+        it('should find elements of sorted arrays by binary search', () =>
+            step('Verify that the first matching index or -1 is returned.', () => {
+                expect(testTarget.binarySearch(sortedValues, 3)).to.equal(1);
+                expect(testTarget.binarySearch(sortedValues, 'apple')).to.equal(6);
+                expect(testTarget.binarySearch(sortedValues, 4)).to.equal(-1);
+                expect(testTarget.binarySearch([], 4)).to.equal(-1);
+                expect(testTarget.binarySearch([...sortedValues].reverse(), 7, 'desc')).to.equal(3);
+            }));
+
+        it('should find lower and upper bounds of values', () =>
+            step('Verify that bounds surround the equal elements.', () => {
+                expect(testTarget.lowerBound(sortedValues, 3)).to.equal(1);
+                expect(testTarget.upperBound(sortedValues, 3)).to.equal(4);
+                expect(testTarget.lowerBound(sortedValues, 5)).to.equal(4);
+                expect(testTarget.upperBound(sortedValues, 'zebra')).to.equal(sortedValues.length);
+                expect(testTarget.lowerBound([9, 5, 5, 1], 5, 'desc')).to.equal(1);
+                expect(testTarget.upperBound([9, 5, 5, 1], 5, 'desc')).to.equal(3);
+            }));
+
+        it('should insert values keeping the array sorted', () => {
+            const array = [...sortedValues];
+            const records = [{id: 1, name: 'first'}, {id: 3, name: 'second'}];
+
+            step('Insert values into sorted arrays.', () => {
+                testTarget.insertSorted(array, [5, 'banana', 0]);
+                testTarget.insertSorted(records, {id: 1, name: 'inserted'}, {key: 'id'});
+            });
+
+            step('Verify that arrays stay sorted and equal values are inserted after existing ones.', () => {
+                expect(array).to.deep.equal([0, 1, 3, 3, 3, 5, 7, '10', 'apple', 'banana', 'kiwi']);
+                expect(records.map(record => record.name)).to.deep.equal(['first', 'inserted', 'second']);
+            });
+        });
+
+        it('should insert values into sorted typed arrays', () => {
+            const values = new Float64Array([1, 2.5, 4]);
+
+            step('Verify that a new sorted typed array is returned.', () => {
+                expect(testTarget.insertSorted(values, [3, 0])).to.deep.equal(new Float64Array([0, 1, 2.5, 3, 4]));
+                expect(values).to.deep.equal(new Float64Array([1, 2.5, 4]));
+            });
+        });
+
+        it('should merge sorted arrays', () =>
+            step('Verify that merged array is sorted and stable.', () => {
+                expect(testTarget.mergeSorted([1, 4, 'apple'], [2, 4, 5, 'kiwi']))
+                    .to.deep.equal([1, 2, 4, 4, 5, 'apple', 'kiwi']);
+                expect(testTarget.mergeSorted([9, 3], [8, 3, 1], 'desc')).to.deep.equal([9, 8, 3, 3, 1]);
+                expect(testTarget.mergeSorted([{id: 2, from: 'a'}], [{id: 2, from: 'b'}], {key: 'id'})
+                    .map(record => record.from)).to.deep.equal(['a', 'b']);
+            }));
+
+        it('should throw an error for unsorted input when the sorted check is enabled', () => {
+            step('Validate that unsorted input throws a descriptive error.', () => {
+                expect(() => testTarget.binarySearch([1, 5, 3], 3, {checkSorted: true}))
+                    .to.throw('Provided array is not sorted in asc order: element [3] at index 2 is placed after [5].');
+                expect(() => testTarget.mergeSorted([1, 2], [3, 1], {order: 'asc', checkSorted: true}))
+                    .to.throw('Provided array is not sorted in asc order: element [1] at index 1 is placed after [3].');
+            });
+
+            step('Validate that the sorted check is enabled by the debug setting.', () => {
+                const checkSorted = VALIDATION_CONFIG.CHECK_SORTED_INPUT;
+
+                try {
+                    VALIDATION_CONFIG.CHECK_SORTED_INPUT = 1;
+                    expect(() => testTarget.insertSorted([3, 1], 2)).to.throw('Provided array is not sorted');
+                    expect(testTarget.insertSorted([3, 1], 2, {checkSorted: false})).to.have.lengthOf(3);
+                } finally {
+                    VALIDATION_CONFIG.CHECK_SORTED_INPUT = checkSorted;
+                }
+            });
+        });
+
+        it('should throw an error for invalid sorted array arguments', () =>
+            step('Validate that invalid arrays throw an error.', () => {
+                expect(() => testTarget.lowerBound('abc', 1)).to.throw('Provided array is invalid.');
+                expect(() => testTarget.mergeSorted([1], 'abc')).to.throw('Provided other array is invalid.');
+                expect(() => testTarget.insertSorted([1], [])).to.throw('Provided values is null or empty.');
+            }));
+    });
+
+    /**
+     * @description Tests the operations on arrays of records
+     * @category Record Operations
+     */
+    describe(testGroupsNames.records, function () {
+        const users = [
+            {id: 3, name: 'Eve', age: 41, address: {city: 'Oslo'}},
+            {id: 1, name: 'Ann', age: 17, address: {city: 'Lima'}},
+            {id: 2, name: 'Bob', age: 29},
+            {id: 4, name: 'Dan', age: 29, address: {city: 'Oslo'}},
+        ];
+
+        it('should pluck values by dotted path', () =>
+            step('Verify that values are extracted with undefined for missing paths.', () => {
+                expect(testTarget.pluck(users, 'address.city')).to.deep.equal(['Oslo', 'Lima', undefined, 'Oslo']);
+                expect(testTarget.pluck(users, user => user.name.length)).to.deep.equal([3, 3, 3, 3]);
+            }));
+
+        it('should pick properties keeping nested structure', () =>
+            step('Verify that only provided paths are copied.', () =>
+                expect(testTarget.pick(users.slice(1, 3), ['name', 'address.city'])).to.deep.equal([
+                    {name: 'Ann', address: {city: 'Lima'}},
+                    {name: 'Bob'},
+                ])));
+
+        it('should not pollute object prototype when picking paths', () => {
+            const records = [JSON.parse('{"__proto__": {"polluted": "yes"}, "name": "Ann"}')];
+
+            step('Verify that prototype path segments are rejected.', () => {
+                ['__proto__.polluted', 'constructor.prototype', 'name.prototype'].forEach(path =>
+                    expect(() => testTarget.pick(records, [path]))
+                        .to.throw('Paths must not contain the __proto__, constructor, prototype segments.'));
+                expect({}).to.not.have.property('polluted');
+            });
+
+            step('Verify that own properties are still picked.', () =>
+                expect(testTarget.pick(records, ['name'])).to.deep.equal([{name: 'Ann'}]));
+        });
+
+        it('should filter records matching values and predicates', () =>
+            step('Verify that records matching every criterion are returned.', () => {
+                expect(testTarget.where(users, {'address.city': 'Oslo', age: age => age < 40}).map(user => user.id))
+                    .to.deep.equal([4]);
+                expect(testTarget.where(users, {address: {city: 'Lima'}})).to.deep.equal([users[1]]);
+            }));
+
+        it('should sort records by dotted path keeping equal records in order', () => {
+            const records = [...users];
+
+            step('Sort records by age in descending order.', () =>
+                testTarget.sortBy(records, 'age', 'desc'));
+
+            step('Verify that records are sorted and equal ages keep their order.', () =>
+                expect(records.map(user => user.id)).to.deep.equal([3, 2, 4, 1]));
+
+            step('Verify that missing values are placed last.', () =>
+                expect(testTarget.immutable.sortBy(users, 'address.city').map(user => user.id))
+                    .to.deep.equal([1, 3, 4, 2]));
+        });
+
+        it('should index records by path', () => {
+            const index = testTarget.indexBy(users, 'id');
+
+            step('Verify that records are keyed by the value at the path.', () => {
+                expect([...index.keys()]).to.deep.equal([3, 1, 2, 4]);
+                expect(index.get(2)).to.equal(users[2]);
+            });
+
+            step('Verify that last record wins for shared keys.', () =>
+                expect(testTarget.indexBy(users, 'age').get(29)).to.equal(users[3]));
+        });
+
+        it('should log records as compact key/value summaries', () => {
+            let logs;
+
+            step('Log records, an object without prototype and nested arrays.', () =>
+                logs = captureLogs(() => testTarget.logArray([users[0], Object.create(null), [1, [2, [3]]]])));
+
+            step('Verify that elements are logged as compact summaries.', () =>
+                expect(logs.at(-1)).to.contain([
+                    "#{id: 3, name: 'Eve', age: 41, address: {city: 'Oslo'}} (type: object)",
+                    '#{} (type: object)',
+                    '#[1, [2, [...]]] (type: object)',
+                ].join(', ')));
+        });
+
+        it('should throw an error for invalid record arguments', () =>
+            step('Validate that invalid arguments throw an error.', () => {
+                expect(() => testTarget.pluck([{id: 1}, 5], 'id'))
+                    .to.throw('Array must contain only objects: element [5] at index 1 is not an object.');
+                expect(() => testTarget.pluck(users, ''))
+                    .to.throw('Property path must be a non-empty string or a function.');
+                expect(() => testTarget.pick(users, ['name', 1])).to.throw('Every path must be a non-empty string.');
+                expect(() => testTarget.where(users, null))
+                    .to.throw('Criteria must be an object of values or predicates keyed by property path.');
+                expect(() => testTarget.where(users, {})).to.throw('Criteria are empty.');
+                expect(() => testTarget.sortBy(users, 'age', 'up')).to.throw("Order must be 'asc' or 'desc'.");
+            }));
     });
 });
\ No newline at end of file
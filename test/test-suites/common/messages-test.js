@@ -0,0 +1,138 @@
+'use strict'
+
+import {processDefaultHooks} from "../../utils/hook-utils.js";
+import {performAsyncStepWithMessage as asyncStep, performStepWithMessage as step} from "../../utils/test-utils.js";
+import {expect} from "chai";
+import {getLocales, getMessage, registerMessages} from "../../../src/common/messages.js";
+import {EN_MESSAGES} from "../../../src/common/locales/en.js";
+import {FR_MESSAGES} from "../../../src/common/locales/fr.js";
+import {Validation} from "../../../src/common/validation.js";
+import {convertToNumbers, convertWith, histogram, removeByCount, sort} from "../../../src/arrays-operations.js";
+import {chunked, fromJsonLines, toArray} from "../../../src/arrays-streaming.js";
+import {VALIDATION_CONFIG} from "../../../config/validation-config.js";
+
+describe('Validation Messages', () => {
+    processDefaultHooks('Validation Messages');
+
+    const locale = VALIDATION_CONFIG.VALIDATION_LOCALE;
+
+    afterEach(() => VALIDATION_CONFIG.VALIDATION_LOCALE = locale);
+
+    /**
+     * Tests for {@link getMessage}
+     */
+    describe('get message function', () => {
+        it('should interpolate placeholders of a message', () =>
+            step('Verify that parameters replace the placeholders.', () => {
+                expect(getMessage('validation.range', {value: 12, min: 0, max: 10}))
+                    .to.equal('Provided value [12] is not within range [0, 10].');
+                expect(getMessage('validation.required', {field: 'items[3].name'}))
+                    .to.equal('Field [items[3].name] is required.');
+                expect(getMessage('validation.integer', {value: 'abc'}))
+                    .to.equal("Provided value ['abc'] is not an integer.");
+                expect(getMessage('validation.range', {value: 1}))
+                    .to.equal('Provided value [1] is not within range [{min}, {max}].');
+            }));
+
+        it('should resolve messages in the selected locale', () => {
+            step('Select French locale.', () =>
+                VALIDATION_CONFIG.VALIDATION_LOCALE = 'fr');
+
+            step('Verify that messages and validation errors are translated.', () => {
+                expect(getMessage('array.empty')).to.equal('Le tableau est vide.');
+                expect(() => removeByCount([1], -1)).to.throw('Le nombre fourni doit être positif.');
+                expect(() => sort([2, 1], {order: 'up'})).to.throw("L'ordre doit être 'asc' ou 'desc'.");
+                expect(() => Validation.startsFor(1.5).checkInteger().validate())
+                    .to.throw("La valeur fournie [1.5] n'est pas un entier.");
+            });
+
+            step('Verify that templated and streaming messages are translated.', () => {
+                expect(() => histogram([0, 1e9], {width: 1}))
+                    .to.throw('La largeur de classe [1] produit 1000000001 classes, plus que le maximum de 10000.');
+                expect(() => chunked(5, 2)).to.throw("La source fournie n'est pas itérable.");
+            });
+
+            step('Verify that conversion and catalog errors are translated.', () => {
+                expect(() => convertToNumbers(['x']))
+                    .to.throw('La valeur [x] ne peut pas être convertie en number. (indice : 0)');
+                expect(convertWith(['x'], Number).failures[0].reason)
+                    .to.equal('La valeur [x] ne peut pas être convertie dans le type cible.');
+                expect(() => registerMessages('', {})).to.throw('La locale doit être une chaîne non vide.');
+            });
+
+            step('Verify that literal messages are kept as they are.', () =>
+                expect(() => Validation.startsFor(1).check(false, 'Custom message.').validate())
+                    .to.throw('Custom message.'));
+        });
+
+        it('should resolve stream parsing errors in the selected locale', async () => {
+            let error;
+
+            step('Select French locale.', () =>
+                VALIDATION_CONFIG.VALIDATION_LOCALE = 'fr');
+
+            await asyncStep('Parse a stream with an invalid JSON line.', async () => {
+                try {
+                    await toArray(fromJsonLines(['{broken\n']));
+                } catch (caught) {
+                    error = caught;
+                }
+            });
+
+            step('Verify that the parsing error is translated.', () =>
+                expect(error).to.be.an('error')
+                    .with.property('message').that.matches(/^JSON invalide à la ligne 1 : /));
+        });
+
+        it('should fall back to English messages', () => {
+            step('Select unknown locale.', () =>
+                VALIDATION_CONFIG.VALIDATION_LOCALE = 'xx');
+
+            step('Verify that English messages are used.', () => {
+                expect(() => removeByCount([1], -1)).to.throw('Provided count must be positive.');
+                expect(getMessage('unknown.key')).to.equal('unknown.key');
+            });
+        });
+
+        it('should ship every English message in every locale', () =>
+            step('Verify that locales have the same message keys.', () => {
+                expect(getLocales()).to.include.members(['en', 'fr']);
+                expect(Object.keys(FR_MESSAGES)).to.have.members(Object.keys(EN_MESSAGES));
+            }));
+    });
+
+    /**
+     * Tests for {@link registerMessages}
+     */
+    describe('register messages function', () => {
+        it('should add a locale falling back to English for missing keys', () => {
+            step('Register and select partial locale.', () => {
+                registerMessages('de', {'array.empty': 'Das Array ist leer.'});
+                VALIDATION_CONFIG.VALIDATION_LOCALE = 'de';
+            });
+
+            step('Verify that registered messages are used with English fallback.', () => {
+                expect(getMessage('array.empty')).to.equal('Das Array ist leer.');
+                expect(getMessage('array.invalid')).to.equal('Provided array is invalid.');
+            });
+        });
+
+        it('should override the wording of a message', () => {
+            try {
+                registerMessages('en', {'count.positive': 'Count must be greater than zero.'});
+
+                step('Verify that overridden message is used by existing call sites.', () =>
+                    expect(() => removeByCount([1], 0)).to.throw('Count must be greater than zero.'));
+            } finally {
+                registerMessages('en', {'count.positive': EN_MESSAGES['count.positive']});
+            }
+        });
+
+        it('should throw an error for invalid messages', () =>
+            step('Verify that function throws an error for invalid arguments.', () => {
+                expect(() => registerMessages('', {})).to.throw('Locale must be a non-empty string.');
+                expect(() => registerMessages('de', {'array.empty': 5}))
+                    .to.throw('Messages must be an object of strings keyed by message key.');
+            }));
+    });
+});
@@ -0,0 +1,400 @@
+'use strict'
+
+import {processDefaultHooks} from "../../utils/hook-utils.js";
+import {performStepWithMessage as step} from "../../utils/test-utils.js";
+import {expect} from "chai";
+import {Validation, ValidationError} from "../../../src/common/validation.js";
+import {removeByCount} from "../../../src/arrays-operations.js";
+
+describe('Validation', () => {
+    processDefaultHooks('Validation');
+
+    /**
+     * Creates a validation of a value failing two checks.
+     * @returns {Validation} The validation.
+     */
+    const failingTwice = () => Validation.startsFor('abc', 'order.count')
+        .checkNumber('Count must be a number.')
+        .checkPositiveNumber('Count must be positive.');
+
+    /**
+     * Tests for {@link Validation#validate}
+     */
+    describe('validate function', () => {
+        it('should throw the first failure as a validation error', () =>
+            step('Verify that only the first failed check is reported.', () => {
+                expect(() => failingTwice().validate()).to.throw(ValidationError, /^Count must be a number\.$/);
+                expect(() => removeByCount([1, 2], 'abc')).to.throw(Error, 'Provided count invalid.');
+            }));
+
+        it('should not throw when every check passes', () =>
+            step('Verify that passing checks do not throw.', () =>
+                expect(() => Validation.startsFor(5).checkNumber().checkPositiveNumber().validate()).to.not.throw()));
+
+        it('should report every failure in the collecting mode', () =>
+            step('Verify that collected validation throws all failures.', () =>
+                expect(() => failingTwice().collect().validate())
+                    .to.throw(ValidationError, '2 validation checks failed')));
+    });
+
+    /**
+     * Tests for {@link Validation#validateAll}
+     */
+    describe('validate all function', () => {
+        it('should throw an error carrying every failure', () => {
+            let error;
+
+            try {
+                failingTwice().validateAll();
+            } catch (caught) {
+                error = caught;
+            }
+
+            step('Verify that error carries message, check name, value and path of every failure.', () => {
+                expect(error).to.be.instanceOf(ValidationError).and.instanceOf(Error);
+                expect(error.name).to.equal('ValidationError');
+                expect(error.message).to.equal('2 validation checks failed:\n'
+                    + ' - order.count: Count must be a number.\n - order.count: Count must be positive.');
+                expect(error.failures).to.deep.equal([
+                    {message: 'Count must be a number.', check: 'checkNumber', value: 'abc', path: 'order.count'},
+                    {
+                        message: 'Count must be positive.',
+                        check: 'checkPositiveNumber',
+                        value: 'abc',
+                        path: 'order.count',
+                    },
+                ]);
+                expect(error).to.include({check: 'checkNumber', value: 'abc', path: 'order.count'});
+            });
+        });
+    });
+
+    /**
+     * Tests for {@link Validation#result}
+     */
+    describe('result function', () => {
+        it('should return the outcome without throwing', () =>
+            step('Verify that result reports validity and failed checks.', () => {
+                expect(Validation.startsFor([1]).checkArray().result()).to.deep.equal({valid: true, errors: []});
+
+                const {valid, errors} = Validation.startsFor(null).checkNullOrEmpty('Value is required.')
+                    .check(false, 'Custom check failed.').result();
+
+                expect(valid).to.be.false;
+                expect(errors.map(({check, message}) => [check, message])).to.deep.equal([
+                    ['checkNullOrEmpty', 'Value is required.'],
+                    ['check', 'Custom check failed.'],
+                ]);
+            }));
+    });
+    /**
+     * Tests for the built-in checks
+     */
+    describe('built-in check functions', () => {
+        /**
+         * Returns the failure messages of a validation.
+         * @param {Validation} validation - The validation.
+         * @returns {Array<string>} The failure messages.
+         */
+        const messagesOf = (validation) => validation.result().errors.map(({message}) => message);
+
+        it('should pass values satisfying the checks', () =>
+            step('Verify that valid values pass every check.', () => {
+                expect(Validation.startsFor(4).checkInteger().checkFinite().checkRange(0, 4).checkNonNegative()
+                    .checkOneOf([1, 4]).result().valid).to.be.true;
+                expect(Validation.startsFor('abc').checkMatches(/^a/).checkLength(1, 3).result().valid).to.be.true;
+                expect(Validation.startsFor(new Date(0)).checkDate().checkInstanceOf(Date).result().valid).to.be.true;
+                expect(Validation.startsFor([1, 2.5]).checkArrayOf('checkFinite').checkArrayOf(Number.isFinite)
+                    .checkLength(2).result().valid).to.be.true;
+                expect(Validation.startsFor(0).checkNonNegative().result().valid).to.be.true;
+            }));
+
+        it('should report default messages including the offending value', () =>
+            step('Verify that default messages describe the failed values.', () => {
+                expect(messagesOf(Validation.startsFor(2.5).checkInteger().checkRange(3, 5))).to.deep.equal([
+                    'Provided value [2.5] is not an integer.',
+                    'Provided value [2.5] is not within range [3, 5].',
+                ]);
+                expect(messagesOf(Validation.startsFor(Infinity).checkFinite()))
+                    .to.deep.equal(['Provided value [Infinity] is not a finite number.']);
+                expect(messagesOf(Validation.startsFor('top').checkOneOf(['start', 'end'])))
+                    .to.deep.equal(["Provided value ['top'] must be one of: 'start', 'end'."]);
+                expect(messagesOf(Validation.startsFor('abc').checkMatches(/^\d+$/).checkLength(5)))
+                    .to.deep.equal([
+                        "Provided value ['abc'] does not match /^\\d+$/.",
+                        "Provided value ['abc'] must have length within [5, Infinity].",
+                    ]);
+                expect(messagesOf(Validation.startsFor(5).checkInstanceOf(Date).checkDate())).to.deep.equal([
+                    'Provided value [5] is not an instance of Date.',
+                    'Provided value [5] is not a valid date.',
+                ]);
+                expect(messagesOf(Validation.startsFor([1, '2', 3]).checkArrayOf('checkNumber')))
+                    .to.deep.equal(["Provided array contains invalid element ['2'] at index 1."]);
+                expect(messagesOf(Validation.startsFor(-1).checkNonNegative()))
+                    .to.deep.equal(['Provided value [-1] is not a non-negative number.']);
+            }));
+
+        it('should reject non-numbers and invalid dates', () =>
+            step('Verify that numeric checks require numbers.', () => {
+                expect(Validation.startsFor('5').checkPositiveNumber().result().valid).to.be.false;
+                expect(Validation.startsFor('5').checkRange(0, 10).result().valid).to.be.false;
+                expect(Validation.startsFor(NaN).checkFinite().result().valid).to.be.false;
+                expect(Validation.startsFor(new Date('abc')).checkDate().result().valid).to.be.false;
+            }));
+
+        it('should negate the next check', () =>
+            step('Verify that negated checks fail for values passing them.', () => {
+                expect(Validation.startsFor('middle').not().checkOneOf(['start', 'end']).result().valid).to.be.true;
+                expect(Validation.startsFor(3).not().checkInteger().checkFinite().result().errors)
+                    .to.deep.equal([{
+                        message: 'Provided value [3] must not pass checkInteger.',
+                        check: 'not.checkInteger',
+                        value: 3,
+                        path: undefined,
+                    }]);
+                expect(() => Validation.startsFor(0).not('Value must not be zero.').checkOneOf([0]).validate())
+                    .to.throw('Value must not be zero.');
+            }));
+
+        it('should report a negation without a check to negate', () =>
+            step('Verify that a chain ending with not() throws an error.', () => {
+                const message = 'Validation ends with not() without a check to negate.';
+
+                expect(() => Validation.startsFor(1).checkFinite().not().validate()).to.throw(message);
+                expect(() => Validation.startsFor(1).not().validateAll()).to.throw(message);
+                expect(() => Validation.startsFor(1).not().result()).to.throw(message);
+                expect(() => Validation.schema({size: v => v.integer().not()}).validate({size: 1})).to.throw(message);
+            }));
+
+        it('should apply the checks in schemas', () =>
+            step('Verify that schema rules provide every check.', () => {
+                const schema = Validation.schema({
+                    size: v => v.integer().range(1, 10),
+                    name: v => v.matches(/^[a-z]+$/).not().oneOf(['admin']),
+                    tags: v => v.arrayOf('checkString').optional(),
+                });
+
+                expect(schema.result({size: 5, name: 'ann', tags: ['a']}).valid).to.be.true;
+                expect(schema.result({size: 11, name: 'admin', tags: [1]}).errors.map(({check}) => check))
+                    .to.deep.equal(['checkRange', 'not.checkOneOf', 'checkArrayOf']);
+            }));
+
+        it('should throw an error for an unknown type check', () =>
+            step('Verify that function throws an error for invalid type checks.', () =>
+                expect(() => Validation.startsFor([1]).checkArrayOf('checkColor'))
+                    .to.throw("Type check ['checkColor'] is neither a check name nor a predicate.")));
+    });
+
+    /**
+     * Tests for {@link Validation.schema}
+     */
+    describe('schema function', () => {
+        const schema = Validation.schema({
+            count: v => v.number().positive(),
+            position: v => v.oneOf(['start', 'end']).default('start'),
+            note: v => v.string().optional(),
+            owner: {name: v => v.string()},
+            items: v => v.items({name: v => v.string('Item name must be a string.'), tags: v => v.array().optional()}),
+        });
+
+        it('should validate an object and apply default values', () => {
+            const value = {count: 2, owner: {name: 'Ann'}, items: [{name: 'a'}, {name: 'b', tags: []}], extra: true};
+            let result;
+
+            step('Validate object against schema.', () =>
+                result = schema.validate(value));
+
+            step('Verify that defaults are applied to a copy keeping unknown fields.', () => {
+                expect(result).to.deep.equal({...value, position: 'start'});
+                expect(value).to.not.have.property('position');
+            });
+        });
+
+        it('should report every failure with its field path', () => {
+            const {valid, errors} = schema.result({
+                count: -1,
+                position: 'middle',
+                owner: 'Ann',
+                items: [{name: 'a'}, {name: 'b'}, {name: 'c'}, {name: 4}, {tags: 'x'}],
+            });
+
+            step('Verify that failures of nested objects and array items are reported by path.', () => {
+                expect(valid).to.be.false;
+                expect(errors.map(({path, check}) => [path, check])).to.deep.equal([
+                    ['count', 'checkPositiveNumber'],
+                    ['position', 'checkOneOf'],
+                    ['owner', 'checkObject'],
+                    ['items[3].name', 'checkString'],
+                    ['items[4].name', 'required'],
+                    ['items[4].tags', 'checkArray'],
+                ]);
+                expect(errors[3]).to.include({message: 'Item name must be a string.', value: 4});
+                expect(errors[4].message).to.equal('Field [items[4].name] is required.');
+            });
+
+            step('Verify that validate throws all failures at once.', () =>
+                expect(() => schema.validate({position: 'end'}))
+                    .to.throw(ValidationError, '3 validation checks failed'));
+        });
+
+        it('should throw the first failure of a schema', () =>
+            step('Verify that validateFirst throws only the first failed check.', () =>
+                expect(() => schema.validateFirst({count: -1, position: 'middle'}))
+                    .to.throw(ValidationError, /^Provided value is not a positive number\.$/)
+                    .with.property('failures').that.has.lengthOf(1)));
+
+        it('should validate array operation arguments by their schema', () =>
+            step('Verify that the first invalid argument is reported.', () => {
+                expect(() => removeByCount(null, 'abc'))
+                    .to.throw(ValidationError, /^Provided array is invalid\.$/)
+                    .with.property('path', 'array');
+                expect(() => removeByCount([1, 2], 1, 'top')).to.throw('Invalid position specified.');
+            }));
+
+        it('should throw an error for invalid schema rules', () =>
+            step('Verify that function throws an error for invalid rules.', () => {
+                expect(() => Validation.schema(null))
+                    .to.throw('Schema shape must be an object of rules keyed by field name.');
+                expect(() => Validation.schema({count: 5})).to.throw('Schema rule of [count] must be a function');
+            }));
+    });
+    /**
+     * Tests for {@link Validation.register}
+     */
+    describe('register function', () => {
+        const registered = [];
+
+        /**
+         * Registers a custom check, unregistered after the test.
+         * @param {...*} args - The arguments of {@link Validation.register}.
+         * @returns {string} The name of the registered check method.
+         */
+        const register = (...args) => {
+            const method = Validation.register(...args);
+            registered.push(args[0]);
+            return method;
+        };
+
+        afterEach(() => registered.splice(0).forEach(name => Validation.unregister(name)));
+
+        it('should make registered checks available on every chain', () => {
+            register('even', (value) => value % 2 === 0, 'Provided value [{value}] is not even.');
+            register('divisibleBy', (value, divisor) => value % divisor === 0,
+                'Provided value [{value}] is not divisible by {0}.');
+
+            step('Verify that registered checks validate values with their parameters.', () => {
+                expect(() => Validation.startsFor(10).checkEven().checkDivisibleBy(5).validate()).to.not.throw();
+                expect(Validation.startsFor(9).collect().checkEven().checkDivisibleBy(2, 'Must be divisible by 2.')
+                    .result().errors.map(({check, message}) => [check, message])).to.deep.equal([
+                    ['checkEven', 'Provided value [9] is not even.'],
+                    ['checkDivisibleBy', 'Must be divisible by 2.'],
+                ]);
+                expect(() => Validation.startsFor(4).not().checkEven().validate())
+                    .to.throw('Provided value [4] must not pass checkEven.');
+            });
+
+            step('Verify that registered checks are available in schemas.', () => {
+                const schema = Validation.schema({size: v => v.number().divisibleBy(3)});
+
+                expect(schema.result({size: 4}).errors[0]).to.include({
+                    check: 'checkDivisibleBy',
+                    path: 'size',
+                    message: 'Provided value [4] is not divisible by 3.',
+                });
+            });
+        });
+
+        it('should namespace registered checks', () => {
+            let method;
+
+            step('Register namespaced check.', () =>
+                method = register('billing.iban', (value) => /^[A-Z]{2}\d{2}/.test(value)));
+
+            step('Verify that check is available under its namespaced name.', () => {
+                expect(method).to.equal('checkBillingIban');
+                expect(() => Validation.startsFor('abc').checkBillingIban().validate())
+                    .to.throw("Provided value ['abc'] does not pass checkBillingIban.");
+            });
+
+            step('Verify that colliding names are rejected.', () => {
+                expect(() => Validation.register('billingIban', () => true))
+                    .to.throw('Check [checkBillingIban] is already defined.');
+                expect(() => Validation.register('integer', () => true))
+                    .to.throw('Check [checkInteger] is already defined.');
+                expect(() => Validation.register('apply', () => true))
+                    .to.throw('Check [checkApply] collides with the field rule method [apply].');
+            });
+
+            step('Verify that rejected registrations leave the field rule methods in place.', () =>
+                expect(Validation.schema({name: v => v.required().string()}).validate({name: 'ann'}))
+                    .to.deep.equal({name: 'ann'}));
+        });
+
+        it('should take the declared arity of predicates with default parameters', () => {
+            register('atLeast', (value, min = 0) => value >= min, 'Provided value [{value}] is below {0}.',
+                {arity: 1});
+
+            step('Verify that the parameter and the message are told apart.', () => {
+                expect(() => Validation.startsFor(3).checkAtLeast(5).validate())
+                    .to.throw('Provided value [3] is below 5.');
+                expect(() => Validation.startsFor(3).checkAtLeast(5, 'Too small.').validate())
+                    .to.throw('Too small.');
+            });
+
+            step('Verify that invalid arity is rejected.', () =>
+                expect(() => Validation.register('atMost', (value, max = 0) => value <= max, undefined, {arity: -1}))
+                    .to.throw('Check arity must be a non-negative integer.'));
+        });
+
+        it('should not leave rejected asynchronous checks unhandled', async () => {
+            const unhandled = [];
+            const onUnhandled = (reason) => unhandled.push(reason);
+            register('reachable', async () => {
+                throw new Error('Service is unavailable.');
+            });
+
+            process.on('unhandledRejection', onUnhandled);
+            try {
+                step('Verify that validating pending checks synchronously throws an error.', () =>
+                    expect(() => Validation.startsFor('host').checkReachable().validate())
+                        .to.throw('Validation has pending asynchronous checks, use validateAsync().'));
+
+                await new Promise(resolve => setTimeout(resolve, 10));
+            } finally {
+                process.off('unhandledRejection', onUnhandled);
+            }
+
+            step('Verify that the rejection is not reported as unhandled.', () =>
+                expect(unhandled).to.be.empty);
+        });
+
+        it('should resolve asynchronous checks', async () => {
+            register('available', async (value, taken) => !taken.includes(value), 'Name [{value}] is taken.');
+
+            let error;
+            try {
+                await Validation.startsFor('ann').checkString().checkAvailable(['ann', 'bob']).validateAsync();
+            } catch (caught) {
+                error = caught;
+            }
+
+            step('Verify that asynchronous check failures are reported by validateAsync.', () => {
+                expect(error).to.be.instanceOf(ValidationError).with.property('message', "Name ['ann'] is taken.");
+                expect(() => Validation.startsFor('eve').checkAvailable([]).validate())
+                    .to.throw('Validation has pending asynchronous checks, use validateAsync().');
+            });
+
+            await Validation.startsFor('eve').checkAvailable(['ann']).validateAsync();
+        });
+
+        it('should throw an error for invalid registrations', () =>
+            step('Verify that function throws an error for invalid arguments.', () => {
+                expect(() => Validation.register('my-check', () => true))
+                    .to.throw("Check name ['my-check'] must be a word or dot separated words, e.g. 'billing.iban'.");
+                expect(() => Validation.register('valid', true)).to.throw('Check predicate must be a function.');
+                expect(() => Validation.register('valid', () => true, 5))
+                    .to.throw('Default message must be a string or a function.');
+                expect(() => Validation.unregister('integer')).to.throw("Check ['integer'] is not registered.");
+            }));
+    });
+});
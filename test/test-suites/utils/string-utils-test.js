@@ -8,6 +8,7 @@ import {
     envStringToBooleanNumber,
     getHookType,
     getTitleWithoutHook,
+    parseBooleanString,
     replaceDynamicallyTestTitleFromTestContext,
     stripANSIEscapeCodes
 } from "../../../src/utils/strings.js";
@@ -240,4 +241,21 @@ describe('String Utilities', () => {
             step('Verify that function returns 0', () =>
                 expect(envStringToBooleanNumber('off')).to.equal(0)));
     });
+
+    /**
+     * Tests for {@link parseBooleanString}
+     */
+    describe('Parse boolean string utility function', () => {
+        it('should return true for truthy values ignoring case and whitespace', () =>
+            step('Verify that function returns true', () =>
+                ['true', ' YES ', 'On', '1'].forEach(value => expect(parseBooleanString(value)).to.be.true)));
+
+        it('should return false for falsy values ignoring case and whitespace', () =>
+            step('Verify that function returns false', () =>
+                ['false', ' NO ', 'Off', '0'].forEach(value => expect(parseBooleanString(value)).to.be.false)));
+
+        it('should return undefined for other values', () =>
+            step('Verify that function returns undefined', () =>
+                ['maybe', '', 1, null].forEach(value => expect(parseBooleanString(value)).to.be.undefined)));
+    });
 });
\ No newline at end of file
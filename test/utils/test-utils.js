@@ -1,6 +1,11 @@
 import {DEFAULT_HOOK_GROUPS} from "../hook-defaults.js";
 import {performActionsWithMessage} from "../../src/common/performable.js";
-import {getHookType, getTitleWithoutHook, replaceDynamicallyTestTitleFromTestContext} from "../../src/utils/strings.js";
+import {
+    getHookType,
+    getTitleWithoutHook,
+    replaceDynamicallyTestTitleFromTestContext,
+    stripANSIEscapeCodes
+} from "../../src/utils/strings.js";
 import {drawLogSeparator, getLogGroupingByHookType} from "../../logging/logs.js";
 import {Validation} from "../../src/common/validation.js";
 
@@ -85,4 +90,39 @@ export function performStepWithMessage(message, action) {
     incrementStepCounterFunction();
     message = `    STEP ${stepCounter}: ${message}`;
     performActionsWithMessage(message, action, "step");
-}
\ No newline at end of file
+}
+
+/**
+ * Performs an asynchronous step action with a message, like {@link performStepWithMessage},
+ * and waits for the action to complete.
+ *
+ * @param {string} message - The message to be logged for the step.
+ * @param {Function} action - The asynchronous action to be performed for the step.
+ * @returns {Promise<*>} The result of the action.
+ */
+export async function performAsyncStepWithMessage(message, action) {
+    let result;
+    performStepWithMessage(message, () => result = action());
+
+    return await result;
+}
+
+/**
+ * Performs an action while capturing the messages it logs to the console.
+ *
+ * @param {Function} action - The action to be performed.
+ * @returns {Array<string>} The logged messages, without ANSI escape codes.
+ */
+export function captureLogs(action) {
+    const logged = [];
+    const consoleLog = console.log;
+
+    console.log = (...messages) => logged.push(stripANSIEscapeCodes(messages.join(' ')));
+    try {
+        action();
+    } finally {
+        console.log = consoleLog;
+    }
+
+    return logged;
+}